@@ -0,0 +1,70 @@
+// Subtitles users picked, per video (Stremio id, "tt123" or "tt123:1:5") and
+// release (the sorted release tags of the playing file). A per-user record
+// always wins; with `global` every pick is also recorded install-wide and
+// used for users who haven't picked anything for that release yet.
+
+const JsonDocs = require('./jsonDocs');
+
+function releaseKey(tags) {
+  return [...new Set(tags || [])].sort().join(',') || '-';
+}
+
+class ChoiceStore {
+  constructor(storage, { global = false, maxEntries = 1000 } = {}) {
+    this.global = global;
+    this.docs = new JsonDocs(storage, { maxEntries }); // storage key → { releaseKey: { subId, ...info, time } }
+  }
+
+  _key(scope, videoId) {
+    return `choices/${scope}/${videoId.replace(/:/g, '-')}.json`;
+  }
+
+  // Choices for reading; empty when storage can't be read
+  async _load(key) {
+    try {
+      return await this.docs.load(key);
+    } catch (e) {
+      console.log(`[Choice] Load error: ${e.message}`);
+      return {};
+    }
+  }
+
+  async _put(key, release, subId, info) {
+    try {
+      await this.docs.update(key, choices => {
+        if (choices[release] && choices[release].subId === String(subId)) return false;
+        choices[release] = { subId: String(subId), ...info, time: Date.now() };
+        return true;
+      });
+    } catch (e) {
+      console.log(`[Choice] Record error: ${e.message}`);
+    }
+  }
+
+  // info: extra fields kept with the pick ({ linkFile, group })
+  async record(username, videoId, tags, subId, info = {}) {
+    const release = releaseKey(tags);
+    await this._put(this._key(`users/${username.toLowerCase()}`, videoId), release, subId, info);
+    if (this.global) await this._put(this._key('global', videoId), release, subId, info);
+  }
+
+  // The user's picks for a video, newest first
+  async list(username, videoId) {
+    const choices = await this._load(this._key(`users/${username.toLowerCase()}`, videoId));
+    return Object.entries(choices)
+      .map(([release, choice]) => ({ release, ...choice }))
+      .sort((a, b) => b.time - a.time);
+  }
+
+  // Chosen subtitle id for this release, or null
+  async get(username, videoId, tags) {
+    const release = releaseKey(tags);
+    const own = (await this._load(this._key(`users/${username.toLowerCase()}`, videoId)))[release];
+    if (own) return own.subId;
+    if (!this.global) return null;
+    const shared = (await this._load(this._key('global', videoId)))[release];
+    return shared ? shared.subId : null;
+  }
+}
+
+module.exports = ChoiceStore;
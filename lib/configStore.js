@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+// Install tokens: the addon URL carries only a random token, the config
+// itself (titulky.com credentials, RD token, options) is kept in storage
+// encrypted with AES-256-GCM under a key derived from CONFIG_SECRET.
+
+const TOKEN_RE = /^tk[0-9a-f]{32}$/;
+
+class ConfigStore {
+  constructor(storage, secret) {
+    this.storage = storage;
+    this.key = secret ? crypto.createHash('sha256').update(String(secret)).digest() : null;
+    this.cache = new Map(); // token → decrypted config
+  }
+
+  get enabled() {
+    return !!(this.storage && this.key);
+  }
+
+  static isToken(str) {
+    return TOKEN_RE.test(str || '');
+  }
+
+  _encrypt(obj) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(obj), 'utf-8'), cipher.final()]);
+    return {
+      v: 1,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+  }
+
+  _decrypt(payload) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(payload.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf-8'));
+  }
+
+  // Any other JSON kept under the same key (titulky.com sessions)
+  seal(obj) {
+    return this._encrypt(obj);
+  }
+
+  open(payload) {
+    return this._decrypt(payload);
+  }
+
+  // Keyed hash of an account's password, proves a stored session was made
+  // with the same credentials without keeping the password itself
+  credentialTag(username, password) {
+    return crypto.createHmac('sha256', this.key)
+      .update(`${String(username).toLowerCase()}\0${password}`)
+      .digest('hex');
+  }
+
+  matchesCredentials(tag, username, password) {
+    const expected = Buffer.from(this.credentialTag(username, password));
+    const given = Buffer.from(String(tag || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  // Stores the config and returns its token; passing an existing token
+  // updates that install in place so the Stremio URL stays the same.
+  async save(config, token = null) {
+    if (!this.enabled) throw new Error('Config store disabled');
+    if (!token) token = 'tk' + crypto.randomBytes(16).toString('hex');
+    await this.storage.putJson(`configs/${token}.json`, this._encrypt(config));
+    this.cache.set(token, config);
+    return token;
+  }
+
+  async load(token) {
+    if (!this.enabled || !ConfigStore.isToken(token)) return null;
+    if (this.cache.has(token)) return this.cache.get(token);
+    try {
+      const payload = await this.storage.getJson(`configs/${token}.json`);
+      if (!payload) return null;
+      const config = this._decrypt(payload);
+      this.cache.set(token, config);
+      return config;
+    } catch (e) {
+      console.log(`[Config] Token load error: ${e.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = ConfigStore;
@@ -0,0 +1,39 @@
+// Background download queue. Jobs run one at a time so prefetching never
+// races itself for titulky.com sessions or quota; a job key that is already
+// queued or running is ignored.
+
+class DownloadQueue {
+  constructor(worker, { maxSize = 50 } = {}) {
+    this.worker = worker; // async (job) => void
+    this.maxSize = maxSize;
+    this.jobs = new Map(); // key → job, in insertion order
+    this.running = null;
+  }
+
+  has(key) {
+    return this.jobs.has(key) || this.running === key;
+  }
+
+  push(key, job) {
+    if (this.has(key) || this.jobs.size >= this.maxSize) return false;
+    this.jobs.set(key, job);
+    if (!this.running) this._drain();
+    return true;
+  }
+
+  async _drain() {
+    while (this.jobs.size > 0) {
+      const [key, job] = this.jobs.entries().next().value;
+      this.jobs.delete(key);
+      this.running = key;
+      try {
+        await this.worker(job);
+      } catch (e) {
+        console.log(`[Prefetch] Job ${key} failed: ${e.message}`);
+      }
+    }
+    this.running = null;
+  }
+}
+
+module.exports = DownloadQueue;
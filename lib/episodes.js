@@ -0,0 +1,59 @@
+// Season/episode markers in release names and archive entries:
+// "S01E05", "S01E05E06", "S01E05-E06", "1x05", "E05"
+
+const SXE_RE = /(?:^|[^a-z0-9])s(\d{1,2})[ ._-]?e(\d{1,3})(?:-?e(\d{1,3}))?(?![0-9])/i;
+const NXN_RE = /(?:^|[^0-9])(\d{1,2})x(\d{2,3})(?![0-9])/i;
+const E_RE = /(?:^|[^a-z0-9])(?:e|ep|episode)[ ._-]?(\d{1,3})(?![0-9])/i;
+
+function parseEpisode(text) {
+  if (!text) return null;
+  let m = text.match(SXE_RE);
+  if (m) {
+    const episode = parseInt(m[2], 10);
+    const last = m[3] ? parseInt(m[3], 10) : episode;
+    return { season: parseInt(m[1], 10), episode, lastEpisode: Math.max(episode, last) };
+  }
+  m = text.match(NXN_RE);
+  if (m) return { season: parseInt(m[1], 10), episode: parseInt(m[2], 10), lastEpisode: parseInt(m[2], 10) };
+  m = text.match(E_RE);
+  if (m) return { season: null, episode: parseInt(m[1], 10), lastEpisode: parseInt(m[1], 10) };
+  return null;
+}
+
+// Whole-season packs: "1. série", "2. řada", "Season 1", "Series 2", "S01", "S01-S03"
+const PACK_RES = [
+  /(\d{1,2})\.?(?:\s*-\s*(\d{1,2})\.?)?\s*(?:série|serie|séria|seria|sezóna|sezona|řada|rada)(?![a-z])/i,
+  /(?:season|series|série|serie|séria|sezóna|sezona|řada)\s*(\d{1,2})(?:\s*-\s*(\d{1,2}))?(?![0-9])/i,
+  /(?:^|[^a-z0-9])s(\d{1,2})(?:\s*-\s*s?(\d{1,2}))?(?![0-9]|[ ._-]?e\d)/i,
+];
+
+// Episode or season-pack info from a subtitle title/version, null when neither is present
+function parseSeriesInfo(text) {
+  if (!text) return null;
+  const ep = parseEpisode(text);
+  let pack = null;
+  for (const re of PACK_RES) {
+    const m = text.match(re);
+    if (m) {
+      const season = parseInt(m[1], 10);
+      pack = { season, lastSeason: m[2] ? Math.max(season, parseInt(m[2], 10)) : season };
+      break;
+    }
+  }
+  if (ep && ep.season == null && pack) return { ...ep, season: pack.season, pack: false };
+  if (ep) return { ...ep, pack: false };
+  if (pack) return { ...pack, episode: null, lastEpisode: null, pack: true };
+  return null;
+}
+
+function matchesEpisode(info, season, episode) {
+  if (!info || info.episode == null) return false;
+  if (info.season != null && season != null && info.season !== season) return false;
+  return episode >= info.episode && episode <= info.lastEpisode;
+}
+
+function episodeTag(season, episode) {
+  return `S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`;
+}
+
+module.exports = { parseEpisode, parseSeriesInfo, matchesEpisode, episodeTag };
@@ -0,0 +1,71 @@
+// Crowd-sourced video file → subtitle pairs. Stremio sends the OpenSubtitles
+// hash and size of the playing file; subtitles users picked for that file are
+// recorded at hashes/<hash>-<size>.json as
+// { subId: { users: { username: time }, confirmed: { username: time } } }.
+// A pair is only trusted as a guaranteed match once two users picked the
+// subtitle or someone confirmed it with a 👍.
+
+const JsonDocs = require('./jsonDocs');
+
+class HashIndex {
+  constructor(storage, { maxEntries = 1000 } = {}) {
+    this.docs = new JsonDocs(storage, { maxEntries }); // hashes/<hash>-<size>.json → pairs
+  }
+
+  _key(hash, size) {
+    return `hashes/${hash.toLowerCase()}-${size || 0}.json`;
+  }
+
+  // The user picked the subtitle while playing the file
+  async record(hash, size, subId, username) {
+    const id = String(subId);
+    const user = username.toLowerCase();
+    try {
+      await this.docs.update(this._key(hash, size), pairs => {
+        if (pairs[id]?.users[user]) return false;
+        pairs[id] = pairs[id] || { users: {}, confirmed: {} };
+        pairs[id].users[user] = Date.now();
+        console.log(`[Hash] ${hash} ← ${id} (${Object.keys(pairs[id].users).length} user(s))`);
+        return true;
+      });
+    } catch (e) {
+      console.log(`[Hash] Record error: ${e.message}`);
+    }
+  }
+
+  // 👍 (1) confirms the pair, 👎 (-1) takes the user's pick back, 0 only the
+  // confirmation. Rejects when the stored pairs can't be read.
+  async vote(hash, size, subId, username, value) {
+    const id = String(subId);
+    const user = username.toLowerCase();
+    await this.docs.update(this._key(hash, size), pairs => {
+      pairs[id] = pairs[id] || { users: {}, confirmed: {} };
+      delete pairs[id].confirmed[user];
+      if (value > 0) {
+        pairs[id].users[user] = pairs[id].users[user] || Date.now();
+        pairs[id].confirmed[user] = Date.now();
+      } else if (value < 0) {
+        delete pairs[id].users[user];
+      }
+      if (Object.keys(pairs[id].users).length === 0) delete pairs[id];
+    });
+  }
+
+  // Guaranteed matches for the file, most users first
+  async get(hash, size) {
+    let pairs = {};
+    try {
+      pairs = await this.docs.load(this._key(hash, size));
+    } catch (e) {
+      console.log(`[Hash] Load error for ${hash}: ${e.message}`);
+    }
+    const users = p => Object.keys(p.users).length;
+    const latest = p => Math.max(...Object.values(p.users));
+    return Object.entries(pairs)
+      .filter(([, p]) => users(p) >= 2 || Object.keys(p.confirmed || {}).length > 0)
+      .sort(([, a], [, b]) => users(b) - users(a) || latest(b) - latest(a))
+      .map(([subId]) => subId);
+  }
+}
+
+module.exports = HashIndex;
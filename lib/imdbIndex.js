@@ -0,0 +1,67 @@
+// IMDB id → titulky.com subtitles, built from subtitle detail pages.
+// Parsed details are kept per subtitle id (details/<id>.json) so every page
+// is fetched only once; the index itself lives at imdb/<tt>.json.
+
+const LruMap = require('./lruMap');
+const JsonDocs = require('./jsonDocs');
+
+const SUB_FIELDS = ['id', 'linkFile', 'title', 'version', 'lang', 'downCount', 'size', 'author', 'year', 'fps'];
+
+class ImdbIndex {
+  constructor(storage, { maxEntries = 5000 } = {}) {
+    this.storage = storage;
+    this.details = new LruMap(maxEntries); // subId → detail
+    this.index = new JsonDocs(storage, { maxEntries, empty: () => [] }); // imdb/<tt>.json → [sub]
+  }
+
+  // Cached detail of a subtitle, fetchDetail() is only called on a miss
+  async detail(subId, fetchDetail) {
+    const id = String(subId);
+    if (this.details.has(id)) return this.details.get(id);
+    let detail = null;
+    if (this.storage) {
+      try { detail = await this.storage.getJson(`details/${id}.json`); } catch { /* fetch below */ }
+    }
+    if (!detail) {
+      detail = await fetchDetail();
+      if (!detail) return null;
+      if (this.storage) {
+        try {
+          await this.storage.putJson(`details/${id}.json`, detail);
+        } catch (e) {
+          console.log(`[Index] Detail save error: ${e.message}`);
+        }
+      }
+    }
+    this.details.set(id, detail);
+    return detail;
+  }
+
+  // Detail already loaded in memory, without fetching
+  known(subId) {
+    return this.details.get(String(subId)) || null;
+  }
+
+  // Indexed subtitles of an IMDB id; empty when storage can't be read
+  async get(imdbId) {
+    try {
+      return await this.index.load(`imdb/${imdbId}.json`);
+    } catch (e) {
+      console.log(`[Index] Load error for ${imdbId}: ${e.message}`);
+      return [];
+    }
+  }
+
+  // Rejects when the stored index can't be read or saved (the caller skips
+  // the subtitle), a failed read is never written over
+  async add(imdbId, sub) {
+    await this.index.update(`imdb/${imdbId}.json`, subs => {
+      if (subs.some(s => s.id === sub.id)) return false;
+      subs.push(Object.fromEntries(SUB_FIELDS.filter(f => sub[f] != null).map(f => [f, sub[f]])));
+      console.log(`[Index] ${imdbId} ← ${sub.id} (${subs.length} subtitle(s))`);
+      return true;
+    });
+  }
+}
+
+module.exports = ImdbIndex;
@@ -0,0 +1,55 @@
+// Small JSON documents in storage, one per key, with a capped in-memory copy.
+// Concurrent callers share one load, so they all edit the same object. A
+// failed read (anything but a missing key) is not cached and rejects, so it
+// can never be written back over the stored document. Writes of one key go
+// out one after another, each with the whole document.
+
+const LruMap = require('./lruMap');
+
+class JsonDocs {
+  constructor(storage, { maxEntries = 1000, empty = () => ({}) } = {}) {
+    this.storage = storage;
+    this.empty = empty;
+    this.docs = new LruMap(maxEntries); // key → Promise<doc>
+    this.writes = new Map(); // key → last queued write
+  }
+
+  load(key) {
+    let doc = this.docs.get(key);
+    if (doc) return doc;
+    doc = this.storage ? this._read(key) : Promise.resolve(this.empty());
+    this.docs.set(key, doc);
+    doc.catch(() => {
+      if (this.docs.get(key) === doc) this.docs.delete(key);
+    });
+    return doc;
+  }
+
+  async _read(key) {
+    const text = await this.storage.getText(key);
+    return text === null ? this.empty() : JSON.parse(text);
+  }
+
+  async save(key, doc) {
+    if (!this.storage) return;
+    const write = (this.writes.get(key) || Promise.resolve()).then(() => this.storage.putJson(key, doc));
+    const queued = write.catch(() => {});
+    this.writes.set(key, queued);
+    try {
+      await write;
+    } finally {
+      if (this.writes.get(key) === queued) this.writes.delete(key);
+    }
+  }
+
+  // Loads, lets `mutate` change the document in place and saves it unless
+  // mutate returns false. Rejects on read or write errors.
+  async update(key, mutate) {
+    const doc = await this.load(key);
+    if (mutate(doc) === false) return doc;
+    await this.save(key, doc);
+    return doc;
+  }
+}
+
+module.exports = JsonDocs;
@@ -0,0 +1,26 @@
+// Map holding at most `maxEntries`; reading or writing a key makes it the most
+// recently used, the least recently used one is dropped first.
+
+class LruMap extends Map {
+  constructor(maxEntries) {
+    super();
+    this.maxEntries = maxEntries;
+  }
+
+  get(key) {
+    if (!super.has(key)) return undefined;
+    const value = super.get(key);
+    super.delete(key);
+    super.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    super.delete(key);
+    super.set(key, value);
+    while (this.size > this.maxEntries) super.delete(this.keys().next().value);
+    return this;
+  }
+}
+
+module.exports = LruMap;
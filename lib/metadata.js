@@ -0,0 +1,125 @@
+const axios = require('axios');
+
+// Metadata providers turn a Stremio type + IMDB id into titles to search
+// titulky.com for. Each provider implements getMeta(type, imdbId) and returns
+// { name, year, releaseInfo, poster, aliases, localizedTitles } or null.
+
+// ── Cinemeta ────────────────────────────────────────────────────
+
+class CinemetaProvider {
+  constructor() {
+    this.name = 'Cinemeta';
+  }
+
+  async getMeta(type, imdbId) {
+    const res = await axios.get(`https://v3-cinemeta.strem.io/meta/${type}/${imdbId}.json`, { timeout: 8000 });
+    const meta = res.data?.meta;
+    if (!meta) return null;
+    return {
+      name: meta.name || meta.title || '',
+      year: meta.year || null,
+      releaseInfo: meta.releaseInfo || null,
+      poster: meta.poster || null,
+      aliases: meta.aliases || [],
+      localizedTitles: [],
+    };
+  }
+}
+
+// ── TMDB (Czech / Slovak titles) ────────────────────────────────
+
+const TMDB_LANGS = ['cs', 'sk'];
+
+class TmdbProvider {
+  constructor(apiKey) {
+    this.name = 'TMDB';
+    this.apiKey = apiKey;
+    this.baseUrl = 'https://api.themoviedb.org/3';
+  }
+
+  async _get(path, params = {}) {
+    const res = await axios.get(`${this.baseUrl}${path}`, {
+      params: { api_key: this.apiKey, ...params },
+      timeout: 8000,
+    });
+    return res.data;
+  }
+
+  async getMeta(type, imdbId) {
+    const found = await this._get(`/find/${imdbId}`, { external_source: 'imdb_id' });
+    const tv = type === 'series';
+    const item = (tv ? found?.tv_results : found?.movie_results)?.[0];
+    if (!item) return null;
+
+    const translations = await this._get(`/${tv ? 'tv' : 'movie'}/${item.id}/translations`);
+    const localizedTitles = (translations?.translations || [])
+      .filter(t => TMDB_LANGS.includes(t.iso_639_1))
+      .map(t => (tv ? t.data?.name : t.data?.title) || '')
+      .filter(Boolean);
+
+    const date = (tv ? item.first_air_date : item.release_date) || '';
+    return {
+      name: (tv ? item.original_name || item.name : item.original_title || item.title) || '',
+      year: date.slice(0, 4) || null,
+      releaseInfo: date.slice(0, 4) || null,
+      poster: item.poster_path ? `https://image.tmdb.org/t/p/w342${item.poster_path}` : null,
+      aliases: [tv ? item.name : item.title].filter(Boolean),
+      localizedTitles: [...new Set(localizedTitles)],
+    };
+  }
+}
+
+// ── Provider chain with caching ─────────────────────────────────
+// The first provider that answers supplies the base metadata, later ones
+// fill in missing fields and add their aliases and localized titles.
+
+class MetadataService {
+  constructor(providers, { ttl = 24 * 60 * 60 * 1000 } = {}) {
+    this.providers = providers;
+    this.ttl = ttl;
+    this.cache = new Map(); // "type/imdbId" → { time, meta }
+  }
+
+  async getMeta(type, id) {
+    const imdbId = id.split(':')[0];
+    const key = `${type}/${imdbId}`;
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.time < this.ttl) return cached.meta;
+
+    let meta = null;
+    for (const provider of this.providers) {
+      let result = null;
+      try {
+        result = await provider.getMeta(type, imdbId);
+      } catch (e) {
+        console.log(`[Meta] ${provider.name} error for ${key}: ${e.message}`);
+      }
+      if (!result) continue;
+      if (!meta) {
+        meta = { ...result };
+        continue;
+      }
+      for (const field of ['name', 'year', 'releaseInfo', 'poster']) {
+        if (!meta[field] && result[field]) meta[field] = result[field];
+      }
+      meta.aliases = [...new Set([...meta.aliases, ...result.aliases])].filter(a => a !== meta.name);
+      meta.localizedTitles = [...new Set([...meta.localizedTitles, ...result.localizedTitles])];
+    }
+
+    if (meta) {
+      this.cache.set(key, { time: Date.now(), meta });
+      if (meta.localizedTitles.length) console.log(`[Meta] ${key}: ${meta.name} / ${meta.localizedTitles.join(' / ')}`);
+    }
+    return meta;
+  }
+}
+
+// Cinemeta always, TMDB when TMDB_API_KEY is set
+function createMetadataService(env = process.env) {
+  const providers = [new CinemetaProvider()];
+  if (env.TMDB_API_KEY) providers.push(new TmdbProvider(env.TMDB_API_KEY));
+  const ttl = (parseInt(env.METADATA_CACHE_TTL, 10) || 24 * 60 * 60) * 1000;
+  return new MetadataService(providers, { ttl });
+}
+
+module.exports = { createMetadataService, MetadataService, CinemetaProvider, TmdbProvider };
@@ -0,0 +1,96 @@
+// Daily download quota per titulky.com account. The site resets limits at
+// midnight Czech time; we remember when the site refused a download (captcha /
+// limit page) until the next reset. Only that blocks an account: the local
+// count misses downloads made outside the addon, so `remaining` is an estimate
+// for display (and for holding prefetch back).
+
+const TIME_ZONE = 'Europe/Prague';
+
+function pragueParts(now = new Date()) {
+  return Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+    timeZone: TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23',
+  }).formatToParts(now).map(p => [p.type, p.value]));
+}
+
+function today(now = new Date()) {
+  const p = pragueParts(now);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+// Timestamp of the next midnight in Prague
+function nextReset(now = new Date()) {
+  const p = pragueParts(now);
+  const elapsed = ((+p.hour * 60 + +p.minute) * 60 + +p.second) * 1000 + now.getMilliseconds();
+  return now.getTime() + 24 * 3600 * 1000 - elapsed;
+}
+
+class QuotaTracker {
+  constructor(storage, dailyLimit) {
+    this.storage = storage;
+    this.dailyLimit = dailyLimit;
+    this.states = new Map(); // username (lowercase) → { day, count, limited, limitedAt }
+  }
+
+  _key(username) {
+    return `quota/${username.toLowerCase()}.json`;
+  }
+
+  async _load(username) {
+    const id = username.toLowerCase();
+    let state = this.states.get(id);
+    if (!state && this.storage) {
+      try { state = await this.storage.getJson(this._key(username)); } catch { /* fresh state */ }
+    }
+    if (!state || state.day !== today()) {
+      state = { day: today(), count: 0, limited: false, limitedAt: null };
+    }
+    this.states.set(id, state);
+    return state;
+  }
+
+  async _save(username, state) {
+    this.states.set(username.toLowerCase(), state);
+    if (!this.storage) return;
+    try {
+      await this.storage.putJson(this._key(username), state);
+    } catch (e) {
+      console.log(`[Quota] Save error: ${e.message}`);
+    }
+  }
+
+  async recordDownload(username) {
+    if (!username) return;
+    const state = await this._load(username);
+    state.count++;
+    await this._save(username, state);
+  }
+
+  async markLimited(username) {
+    if (!username) return;
+    const state = await this._load(username);
+    if (state.limited) return;
+    state.limited = true;
+    state.limitedAt = Date.now();
+    console.log(`[Quota] ${username} hit the daily limit after ${state.count} download(s)`);
+    await this._save(username, state);
+  }
+
+  async status(username) {
+    const state = await this._load(username || '');
+    const remaining = state.limited ? 0 : Math.max(0, this.dailyLimit - state.count);
+    return {
+      used: state.count,
+      limit: this.dailyLimit,
+      remaining,
+      exhausted: state.limited,
+      resetAt: nextReset(),
+    };
+  }
+
+  async isExhausted(username) {
+    return (await this.status(username)).exhausted;
+  }
+}
+
+module.exports = QuotaTracker;
@@ -0,0 +1,74 @@
+// Search results per Stremio type+id ("movie/tt123", "series/tt123:1:5").
+// Stremio repeats subtitle requests a lot, so the Cinemeta lookup and the
+// titulky.com searches are reused for `ttl` ms. With `shared` the entries
+// live only in storage, so several instances behind R2 see the same cache
+// and an invalidation on one of them applies to all.
+
+const LruMap = require('./lruMap');
+
+class SearchCache {
+  constructor(storage, ttl, { shared = false, maxEntries = 500 } = {}) {
+    this.storage = shared ? storage : null;
+    this.ttl = ttl;
+    this.entries = new LruMap(maxEntries); // "type/id" → { time, value }, unused when shared
+  }
+
+  get enabled() {
+    return this.ttl > 0;
+  }
+
+  _id(type, id) {
+    return `${type}/${id.replace(/:/g, '-')}`;
+  }
+
+  async get(type, id) {
+    if (!this.enabled) return null;
+    const key = this._id(type, id);
+    let entry = null;
+    if (this.storage) {
+      try { entry = await this.storage.getJson(`search/${key}.json`); } catch { /* miss */ }
+    } else {
+      entry = this.entries.get(key);
+    }
+    if (!entry) return null;
+    if (Date.now() - entry.time > this.ttl) {
+      this.entries.delete(key);
+      return null;
+    }
+    console.log(`[Search] Cache HIT: ${key}`);
+    return entry.value;
+  }
+
+  async set(type, id, value) {
+    if (!this.enabled) return;
+    const key = this._id(type, id);
+    const entry = { time: Date.now(), value };
+    if (!this.storage) {
+      this.entries.set(key, entry);
+      return;
+    }
+    try {
+      await this.storage.putJson(`search/${key}.json`, entry);
+    } catch (e) {
+      console.log(`[Search] Save error: ${e.message}`);
+    }
+  }
+
+  // Drops every entry of a video ("tt123" or "tt123-1-5" as used for custom subs)
+  async invalidate(videoId) {
+    const id = videoId.replace(/:/g, '-');
+    for (const type of ['movie', 'series']) {
+      const key = `${type}/${id}`;
+      this.entries.delete(key);
+      if (!this.storage) continue;
+      try {
+        await this.storage.delete(`search/${key}.json`);
+      } catch (e) {
+        console.log(`[Search] Invalidate error: ${e.message}`);
+      }
+    }
+    console.log(`[Search] Invalidated ${id}`);
+  }
+}
+
+module.exports = SearchCache;
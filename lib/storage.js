@@ -0,0 +1,229 @@
+const fs = require('fs/promises');
+const path = require('path');
+const {
+  S3Client, GetObjectCommand, PutObjectCommand, HeadObjectCommand, ListObjectsV2Command, DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+
+// Every driver exposes the same async interface:
+//   get(key)    → { body: Buffer, metadata } | null
+//   head(key)   → { metadata, size } | null
+//   put(key, body, { contentType, metadata })
+//   list(prefix) → [{ key, size }]
+//   delete(key)
+// Missing keys resolve to null, any other failure throws.
+
+class Storage {
+  async getText(key) {
+    const obj = await this.get(key);
+    return obj ? obj.body.toString('utf-8') : null;
+  }
+
+  async getJson(key, fallback = null) {
+    const text = await this.getText(key);
+    if (text === null) return fallback;
+    try { return JSON.parse(text); } catch { return fallback; }
+  }
+
+  async putJson(key, value) {
+    await this.put(key, JSON.stringify(value), { contentType: 'application/json' });
+  }
+}
+
+// ── Cloudflare R2 / S3 ──────────────────────────────────────────
+
+class R2Storage extends Storage {
+  constructor({ endpoint, accessKeyId, secretAccessKey, bucket }) {
+    super();
+    this.name = 'R2';
+    this.location = `bucket: ${bucket}`;
+    this.bucket = bucket;
+    this.s3 = new S3Client({
+      region: 'auto',
+      endpoint,
+      credentials: { accessKeyId, secretAccessKey },
+    });
+  }
+
+  _isNotFound(e) {
+    return e.name === 'NoSuchKey' || e.name === 'NotFound' || e.$metadata?.httpStatusCode === 404;
+  }
+
+  async get(key) {
+    try {
+      const res = await this.s3.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      const chunks = [];
+      for await (const chunk of res.Body) chunks.push(chunk);
+      return { body: Buffer.concat(chunks), metadata: res.Metadata || {} };
+    } catch (e) {
+      if (this._isNotFound(e)) return null;
+      throw e;
+    }
+  }
+
+  async head(key) {
+    try {
+      const res = await this.s3.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return { metadata: res.Metadata || {}, size: res.ContentLength || 0 };
+    } catch (e) {
+      if (this._isNotFound(e)) return null;
+      throw e;
+    }
+  }
+
+  async put(key, body, { contentType = 'application/octet-stream', metadata = {} } = {}) {
+    await this.s3.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      Metadata: metadata,
+    }));
+  }
+
+  async list(prefix = '') {
+    const items = [];
+    let continuationToken = undefined;
+    do {
+      const res = await this.s3.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken,
+      }));
+      for (const obj of (res.Contents || [])) items.push({ key: obj.Key, size: obj.Size || 0 });
+      continuationToken = res.IsTruncated ? res.NextContinuationToken : undefined;
+    } while (continuationToken);
+    return items;
+  }
+
+  async delete(key) {
+    await this.s3.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+}
+
+// ── Local filesystem ────────────────────────────────────────────
+// Objects live at <dir>/<key>, metadata in a sidecar at <dir>/.meta/<key>.json
+
+const META_DIR = '.meta';
+let tmpCounter = 0;
+
+class LocalStorage extends Storage {
+  constructor(dir) {
+    super();
+    this.name = 'Local';
+    this.root = path.resolve(dir);
+    this.location = `dir: ${this.root}`;
+  }
+
+  _path(key, base = this.root) {
+    const parts = key ? key.split('/') : [];
+    // The first segment can't be META_DIR, those keys would land among the sidecars
+    if (!key || parts.some(p => p === '..' || p === '.') || parts[0] === META_DIR || path.isAbsolute(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    const full = path.resolve(base, key);
+    if (!full.startsWith(base + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return full;
+  }
+
+  _metaPath(key) {
+    return this._path(key + '.json', path.join(this.root, META_DIR));
+  }
+
+  async _readMeta(key) {
+    try {
+      return JSON.parse(await fs.readFile(this._metaPath(key), 'utf-8'));
+    } catch {
+      return {};
+    }
+  }
+
+  async get(key) {
+    try {
+      const body = await fs.readFile(this._path(key));
+      const meta = await this._readMeta(key);
+      return { body, metadata: meta.metadata || {} };
+    } catch (e) {
+      if (e.code === 'ENOENT' || e.code === 'EISDIR') return null;
+      throw e;
+    }
+  }
+
+  async head(key) {
+    try {
+      const stat = await fs.stat(this._path(key));
+      if (!stat.isFile()) return null;
+      const meta = await this._readMeta(key);
+      return { metadata: meta.metadata || {}, size: stat.size };
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  async put(key, body, { contentType = 'application/octet-stream', metadata = {} } = {}) {
+    const file = this._path(key);
+    const metaFile = this._metaPath(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.mkdir(path.dirname(metaFile), { recursive: true });
+    // Write to a temp file first so a crash never leaves a half-written object;
+    // unique per write so concurrent puts of one key don't share it
+    const tmp = `${file}.${process.pid}.${++tmpCounter}.tmp`;
+    await fs.writeFile(tmp, body);
+    await fs.rename(tmp, file);
+    await fs.writeFile(metaFile, JSON.stringify({ contentType, metadata }));
+  }
+
+  async list(prefix = '') {
+    const items = [];
+    const walk = async (dir, rel) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (e) {
+        if (e.code === 'ENOENT') return;
+        throw e;
+      }
+      for (const entry of entries) {
+        const key = rel ? `${rel}/${entry.name}` : entry.name;
+        if (!rel && entry.name === META_DIR) continue;
+        if (entry.isDirectory()) {
+          if (key.startsWith(prefix) || prefix.startsWith(key + '/')) await walk(path.join(dir, entry.name), key);
+        } else if (key.startsWith(prefix) && !entry.name.endsWith('.tmp')) {
+          const stat = await fs.stat(path.join(dir, entry.name));
+          items.push({ key, size: stat.size });
+        }
+      }
+    };
+    await walk(this.root, '');
+    return items.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  async delete(key) {
+    await fs.rm(this._path(key), { force: true });
+    await fs.rm(this._metaPath(key), { force: true });
+  }
+}
+
+// ── Factory ─────────────────────────────────────────────────────
+// STORAGE_DRIVER=r2|local|none picks a driver explicitly, otherwise R2 is
+// used when all R2_* variables are set and the local driver when STORAGE_DIR is.
+
+function createStorage(env = process.env) {
+  const r2Configured = !!(env.R2_ENDPOINT && env.R2_ACCESS_KEY_ID && env.R2_SECRET_ACCESS_KEY && env.R2_BUCKET);
+  const driver = (env.STORAGE_DRIVER || (r2Configured ? 'r2' : env.STORAGE_DIR ? 'local' : 'none')).toLowerCase();
+
+  if (driver === 'r2') {
+    if (!r2Configured) throw new Error('STORAGE_DRIVER=r2 requires R2_ENDPOINT, R2_ACCESS_KEY_ID, R2_SECRET_ACCESS_KEY and R2_BUCKET');
+    return new R2Storage({
+      endpoint: env.R2_ENDPOINT,
+      accessKeyId: env.R2_ACCESS_KEY_ID,
+      secretAccessKey: env.R2_SECRET_ACCESS_KEY,
+      bucket: env.R2_BUCKET,
+    });
+  }
+  if (driver === 'local') return new LocalStorage(env.STORAGE_DIR || './data');
+  if (driver === 'none') return null;
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+}
+
+module.exports = { createStorage, R2Storage, LocalStorage };
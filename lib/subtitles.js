@@ -0,0 +1,432 @@
+const he = require('he');
+
+// ── Cue parsing & serialization (SRT / VTT) ─────────────────────
+
+const TIMING_RE = /(\d{1,2}):(\d{2}):(\d{2})[,.](\d{1,3})\s*-->\s*(\d{1,2}):(\d{2}):(\d{2})[,.](\d{1,3})(.*)/;
+
+function toMs(h, m, s, ms) {
+  return ((+h * 60 + +m) * 60 + +s) * 1000 + +ms.padEnd(3, '0');
+}
+
+function formatTime(ms, sep = ',') {
+  ms = Math.max(0, Math.round(ms));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(h)}:${pad(m)}:${pad(s)}${sep}${pad(ms % 1000, 3)}`;
+}
+
+// Parses SRT or VTT text into [{ start, end, text, settings }] (times in ms)
+function parseCues(content) {
+  const text = (typeof content === 'string' ? content : content.toString('utf-8'))
+    .replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const cues = [];
+  for (const block of text.split(/\n{2,}/)) {
+    const lines = block.split('\n');
+    const idx = lines.findIndex(l => TIMING_RE.test(l));
+    if (idx < 0) continue;
+    const m = lines[idx].match(TIMING_RE);
+    cues.push({
+      start: toMs(m[1], m[2], m[3], m[4]),
+      end: toMs(m[5], m[6], m[7], m[8]),
+      text: lines.slice(idx + 1).join('\n').trim(),
+      settings: m[9].trim(),
+    });
+  }
+  return cues;
+}
+
+function buildSrt(cues) {
+  return cues.map((c, i) =>
+    `${i + 1}\n${formatTime(c.start)} --> ${formatTime(c.end)}\n${c.text}\n`
+  ).join('\n');
+}
+
+function buildVtt(cues) {
+  return 'WEBVTT\n\n' + cues.map(c =>
+    `${formatTime(c.start, '.')} --> ${formatTime(c.end, '.')}${c.settings ? ' ' + c.settings : ''}\n${c.text}\n`
+  ).join('\n');
+}
+
+// ── Retiming ─────────────────────────────────────────────────────
+// shift: seconds added to every cue (negative = earlier)
+// fps:   [from, to] – subtitle timed for `from` fps played on a `to` fps video
+
+function parseRetimeOptions(query = {}) {
+  const opts = {};
+  const shift = parseFloat(query.shift);
+  if (Number.isFinite(shift) && shift !== 0 && Math.abs(shift) <= 600) opts.shift = shift;
+  const fm = String(query.fps || '').match(/^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/);
+  if (fm) {
+    const from = parseFloat(fm[1]);
+    const to = parseFloat(fm[2]);
+    if (from > 0 && to > 0 && from <= 120 && to <= 120 && from !== to) opts.fps = [from, to];
+  }
+  return Object.keys(opts).length > 0 ? opts : null;
+}
+
+function retimeCues(cues, { shift = 0, fps = null } = {}) {
+  const ratio = fps ? fps[0] / fps[1] : 1;
+  const offset = shift * 1000;
+  return cues
+    .map(c => ({ ...c, start: c.start * ratio + offset, end: c.end * ratio + offset }))
+    .filter(c => c.end > 0);
+}
+
+// Retimes SRT or VTT text, keeping the input format
+function retime(content, opts) {
+  if (!opts) return content;
+  const text = typeof content === 'string' ? content : content.toString('utf-8');
+  const cues = retimeCues(parseCues(text), opts);
+  return /^\uFEFF?WEBVTT/.test(text) ? buildVtt(cues) : buildSrt(cues);
+}
+
+// ── SRT to VTT converter ─────────────────────────────────────────
+
+function srtToVtt(srtContent) {
+  const text = typeof srtContent === 'string' ? srtContent : srtContent.toString('utf-8');
+  // Replace SRT time format commas with VTT dots
+  const vttBody = text
+    .replace(/\r\n/g, '\n')
+    .replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2');
+  return 'WEBVTT\n\n' + vttBody.trim() + '\n';
+}
+
+// ── ASS/SSA to SRT converter ─────────────────────────────────────
+
+function assToVtt(assContent) {
+  const text = typeof assContent === 'string' ? assContent : assContent.toString('utf-8');
+  const lines = text.split(/\r?\n/);
+
+  // Parse [V4+ Styles] for color/style info
+  const styles = {};
+  let inStyles = false;
+  let styleFormat = [];
+
+  // Find [Events] section and parse Format line
+  let inEvents = false;
+  let formatFields = [];
+  const dialogues = [];
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+
+    // Styles section
+    if (/^\[V4\+?\s*Styles?\]/i.test(trimmed)) { inStyles = true; inEvents = false; continue; }
+    if (inStyles && /^Format:/i.test(trimmed)) {
+      styleFormat = trimmed.replace(/^Format:\s*/i, '').split(',').map(f => f.trim().toLowerCase());
+      continue;
+    }
+    if (inStyles && /^Style:/i.test(trimmed)) {
+      const parts = trimmed.replace(/^Style:\s*/i, '').split(',');
+      const nameIdx = styleFormat.indexOf('name');
+      const colorIdx = styleFormat.indexOf('primarycolour');
+      const boldIdx = styleFormat.indexOf('bold');
+      const italicIdx = styleFormat.indexOf('italic');
+      if (nameIdx >= 0 && parts[nameIdx]) {
+        styles[parts[nameIdx].trim()] = {
+          color: colorIdx >= 0 ? assColorToVtt(parts[colorIdx]?.trim()) : null,
+          bold: boldIdx >= 0 ? parts[boldIdx]?.trim() === '-1' || parts[boldIdx]?.trim() === '1' : false,
+          italic: italicIdx >= 0 ? parts[italicIdx]?.trim() === '-1' || parts[italicIdx]?.trim() === '1' : false,
+        };
+      }
+      continue;
+    }
+
+    // Events section
+    if (/^\[Events\]/i.test(trimmed)) { inEvents = true; inStyles = false; continue; }
+    if (/^\[/.test(trimmed) && inEvents) break;
+
+    if (inEvents && /^Format:/i.test(trimmed)) {
+      formatFields = trimmed.replace(/^Format:\s*/i, '').split(',').map(f => f.trim().toLowerCase());
+      continue;
+    }
+
+    if (inEvents && /^Dialogue:/i.test(trimmed)) {
+      const parts = trimmed.replace(/^Dialogue:\s*/i, '').split(',');
+      if (parts.length >= formatFields.length) {
+        const startIdx = formatFields.indexOf('start');
+        const endIdx = formatFields.indexOf('end');
+        const textIdx = formatFields.indexOf('text');
+        const styleIdx = formatFields.indexOf('style');
+
+        if (startIdx >= 0 && endIdx >= 0 && textIdx >= 0) {
+          const textParts = parts.slice(textIdx).join(',');
+          const styleName = styleIdx >= 0 ? parts[styleIdx]?.trim() : null;
+          dialogues.push({
+            start: assTimeToVtt(parts[startIdx].trim()),
+            end: assTimeToVtt(parts[endIdx].trim()),
+            text: assTextToVtt(textParts.trim(), styles[styleName] || null),
+          });
+        }
+      }
+    }
+  }
+
+  // Build VTT
+  let vtt = 'WEBVTT\n\n';
+  vtt += dialogues.map((d, i) =>
+    `${d.start} --> ${d.end}\n${d.text}\n`
+  ).join('\n');
+  return vtt;
+}
+
+function assTimeToVtt(assTime) {
+  // ASS: H:MM:SS.CC → VTT: HH:MM:SS.mmm
+  const m = assTime.match(/(\d+):(\d+):(\d+)\.(\d+)/);
+  if (!m) return '00:00:00.000';
+  const h = m[1].padStart(2, '0');
+  const min = m[2].padStart(2, '0');
+  const sec = m[3].padStart(2, '0');
+  const cs = m[4].padEnd(3, '0').substring(0, 3);
+  return `${h}:${min}:${sec}.${cs}`;
+}
+
+function assColorToVtt(assColor) {
+  if (!assColor) return null;
+  // ASS color: &HAABBGGRR or &HBBGGRR
+  const m = assColor.replace(/^&H/i, '').replace(/&$/, '');
+  if (m.length >= 6) {
+    const b = m.slice(-6, -4);
+    const g = m.slice(-4, -2);
+    const r = m.slice(-2);
+    return `#${r}${g}${b}`;
+  }
+  return null;
+}
+
+function assTextToVtt(text, style) {
+  let result = text;
+
+  // Convert inline ASS tags to VTT/HTML
+  // Bold
+  result = result.replace(/\{\\b1\}/g, '<b>').replace(/\{\\b0\}/g, '</b>');
+  // Italic
+  result = result.replace(/\{\\i1\}/g, '<i>').replace(/\{\\i0\}/g, '</i>');
+  // Underline
+  result = result.replace(/\{\\u1\}/g, '<u>').replace(/\{\\u0\}/g, '</u>');
+  // Color tags: {\c&HBBGGRR&} or {\1c&HBBGGRR&}
+  result = result.replace(/\{\\(?:1)?c&H([0-9A-Fa-f]{6})&?\}/g, (_, hex) => {
+    const color = assColorToVtt('&H' + hex);
+    return color ? `<c.color${color}>` : '';
+  });
+  // Remove remaining ASS tags
+  result = result.replace(/\{[^}]*\}/g, '');
+  // Newlines
+  result = result.replace(/\\N/g, '\n').replace(/\\n/g, '\n').replace(/\\h/g, ' ');
+
+  // Apply style-level formatting
+  if (style) {
+    if (style.bold) result = `<b>${result}</b>`;
+    if (style.italic) result = `<i>${result}</i>`;
+    if (style.color) result = `<c.color${style.color}>${result}</c>`;
+  }
+
+  return result.trim();
+}
+
+// ── Format detection ─────────────────────────────────────────────
+
+function detectFormat(content) {
+  const text = (typeof content === 'string' ? content : content.toString('utf-8')).replace(/^\uFEFF/, '');
+  const head = text.slice(0, 4000);
+  if (/^\s*WEBVTT/.test(head)) return 'vtt';
+  // ASS sections, or a bare event list; a "Dialogue:" line inside an SRT cue is not enough
+  if (/^\s*\[(Script Info|Events|V4\+? Styles)\]/im.test(head) || /^\s*Dialogue:/.test(head)) return 'ass';
+  if (/<SAMI>/i.test(head) || /<SYNC\s+Start\s*=/i.test(head)) return 'sami';
+  if (TIMING_RE.test(head)) return 'srt';
+  if (/^\s*\{\d+\}\{\d*\}/m.test(head)) return 'microdvd';
+  if (/^\s*\[\d+\]\[\d*\]/m.test(head)) return 'mpl2';
+  if (/\[INFORMATION\]/i.test(head) || /^\d{1,2}:\d{2}:\d{2}\.\d{1,3},\d{1,2}:\d{2}:\d{2}\.\d{1,3}\s*$/m.test(head)) return 'subviewer';
+  return 'unknown';
+}
+
+// FPS hint from a filename like "Movie.23.976fps.sub" or "Movie 25 FPS.sub"
+function fpsFromFilename(filename) {
+  const m = (filename || '').match(/(23[.,]976|23[.,]98|24|25|29[.,]97|30|50|59[.,]94|60)\s*fps/i)
+    || (filename || '').match(/\b(23[.,]976|29[.,]97)\b/);
+  return m ? parseFloat(m[1].replace(',', '.')) : null;
+}
+
+const DEFAULT_FPS = 23.976;
+
+// ── Frame/line based readers → cues ─────────────────────────────
+
+// MicroDVD: {startFrame}{endFrame}line|line – {y:i} marks italics,
+// a leading {1}{1}25.000 line declares the FPS
+function parseMicroDvd(text, fps) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const first = lines.find(l => /^\s*\{\d+\}\{\d*\}/.test(l));
+  const declared = first && first.match(/^\s*\{[01]\}\{[01]\}\s*(\d+(?:[.,]\d+)?)\s*$/);
+  if (declared) fps = parseFloat(declared[1].replace(',', '.'));
+  fps = fps || DEFAULT_FPS;
+
+  const cues = [];
+  for (const line of lines) {
+    const m = line.match(/^\s*\{(\d+)\}\{(\d*)\}(.*)$/);
+    if (!m || (declared && line === first)) continue;
+    const start = parseInt(m[1], 10) / fps * 1000;
+    const end = m[2] ? parseInt(m[2], 10) / fps * 1000 : start + 3000;
+    let body = m[3];
+    const italic = /\{y:i\}/i.test(body);
+    body = body.replace(/\{[^}]*\}/g, '').split('|').map(l => l.replace(/^\//, '').trim()).join('\n').trim();
+    if (!body) continue;
+    cues.push({ start, end, text: italic ? `<i>${body}</i>` : body, settings: '' });
+  }
+  return cues;
+}
+
+// MPL2: [startDecisecond][endDecisecond]line|line
+function parseMpl2(text) {
+  const cues = [];
+  for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const m = line.match(/^\s*\[(\d+)\]\[(\d*)\](.*)$/);
+    if (!m) continue;
+    const start = parseInt(m[1], 10) * 100;
+    const end = m[2] ? parseInt(m[2], 10) * 100 : start + 3000;
+    const body = m[3].split('|').map(l => l.startsWith('/') ? `<i>${l.slice(1).trim()}</i>` : l.trim()).join('\n').trim();
+    if (body) cues.push({ start, end, text: body, settings: '' });
+  }
+  return cues;
+}
+
+// SubViewer 2: "hh:mm:ss.cc,hh:mm:ss.cc" followed by text, [br] = newline
+function parseSubViewer(text) {
+  const cues = [];
+  const re = /^\s*(\d{1,2}):(\d{2}):(\d{2})\.(\d{1,3}),(\d{1,2}):(\d{2}):(\d{2})\.(\d{1,3})\s*$/;
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const m = lines[i].match(re);
+    if (!m) continue;
+    const body = [];
+    while (i + 1 < lines.length && lines[i + 1].trim() !== '' && !re.test(lines[i + 1])) body.push(lines[++i]);
+    const joined = body.join('\n').replace(/\[br\]/gi, '\n').trim();
+    if (joined) cues.push({ start: toMs(m[1], m[2], m[3], m[4]), end: toMs(m[5], m[6], m[7], m[8]), text: joined, settings: '' });
+  }
+  return cues;
+}
+
+// SAMI: <SYNC Start=ms><P Class=CSCC>text – a cue lasts until the next SYNC
+function parseSami(text) {
+  const syncs = [];
+  const re = /<SYNC\s+Start\s*=\s*"?(\d+)"?[^>]*>([\s\S]*?)(?=<SYNC|<\/BODY|$)/gi;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    const body = he.decode(m[2]
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<(\/?)(i|b|u)>/gi, (_, slash, tag) => `<${slash}${tag.toLowerCase()}>`)
+      .replace(/<(?!\/?(?:i|b|u)>)[^>]+>/gi, ''))
+      .replace(/\u00A0/g, ' ')
+      .split('\n').map(l => l.trim()).filter(Boolean).join('\n');
+    syncs.push({ start: parseInt(m[1], 10), text: body });
+  }
+  const cues = [];
+  for (let i = 0; i < syncs.length; i++) {
+    if (!syncs[i].text) continue;
+    const end = i + 1 < syncs.length ? syncs[i + 1].start : syncs[i].start + 3000;
+    cues.push({ start: syncs[i].start, end, text: syncs[i].text, settings: '' });
+  }
+  return cues;
+}
+
+// Converts any supported subtitle text to SRT. Unknown formats are
+// returned unchanged so nothing is lost when detection fails.
+function toSrt(content, filename = '') {
+  const text = typeof content === 'string' ? content : content.toString('utf-8');
+  const format = detectFormat(text);
+  let cues;
+  switch (format) {
+    case 'srt': return { content: text, format };
+    case 'vtt': cues = parseCues(text); break;
+    case 'ass': cues = parseCues(assToVtt(text)); break;
+    case 'sami': cues = parseSami(text); break;
+    case 'microdvd': cues = parseMicroDvd(text, fpsFromFilename(filename)); break;
+    case 'mpl2': cues = parseMpl2(text); break;
+    case 'subviewer': cues = parseSubViewer(text); break;
+    default: return { content: text, format };
+  }
+  return { content: buildSrt(cues), format };
+}
+
+// ── Multi-CD archives ────────────────────────────────────────────
+
+const PART_RE = /(?:^|[^a-z])(?:cd|dis[ck]|part|pt)[ ._-]*(\d{1,2})(?!\d)/i;
+const PART_OF_RE = /(?:^|[^\d])(\d)[ ._-]*(?:of|z)[ ._-]*(\d)(?!\d)/i;
+
+function partNumber(filename) {
+  const name = (filename || '').split('/').pop().replace(/\.[^.]+$/, '');
+  const m = name.match(PART_RE) || name.match(PART_OF_RE);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+// Returns the files ordered CD1, CD2, … when the archive is split into
+// parts, otherwise null
+function detectParts(files) {
+  if (!files || files.length < 2) return null;
+  const byPart = new Map();
+  for (const f of files) {
+    const n = partNumber(f.filename);
+    if (n !== null && !byPart.has(n)) byPart.set(n, f);
+  }
+  if (byPart.size < 2) return null;
+  return [...byPart.entries()].sort((a, b) => a[0] - b[0]).map(([, f]) => f);
+}
+
+function lastCueEnd(cues) {
+  return cues.reduce((max, c) => Math.max(max, c.end), 0);
+}
+
+// Joins SRT parts into one timeline. Each later part is offset by the end
+// of the previous one unless `splits` (ms, one per later part) says otherwise.
+// `parts` records where each later part starts so the offset can be changed
+// after caching (see applySplits).
+function mergeParts(contents, splits = []) {
+  const merged = [];
+  const parts = [];
+  let offset = 0;
+  contents.forEach((content, i) => {
+    const cues = parseCues(content);
+    if (i > 0) {
+      offset = Number.isFinite(splits[i - 1]) ? splits[i - 1] : offset + lastCueEnd(parseCues(contents[i - 1]));
+      parts.push([merged.length, Math.round(offset)]);
+    }
+    for (const c of cues) merged.push({ ...c, start: c.start + offset, end: c.end + offset });
+  });
+  return { content: buildSrt(merged), parts };
+}
+
+// "3120.5", "52:00" or "0:52:00" per later part, comma separated → ms
+function parseSplitOptions(query = {}) {
+  if (!query.split) return null;
+  const splits = String(query.split).split(',').map(v => {
+    // Number('') is 0, an empty segment must not move a part to 00:00
+    const segs = v.trim().split(':').map(seg => (seg.trim() === '' ? NaN : Number(seg)));
+    if (segs.length > 3 || segs.some(n => !Number.isFinite(n) || n < 0)) return NaN;
+    return segs.reduce((acc, n) => acc * 60 + n, 0) * 1000;
+  });
+  return splits.some(Number.isFinite) ? splits : null;
+}
+
+// Moves each later part of a merged SRT to a user-supplied split point
+function applySplits(content, parts, splits) {
+  if (!parts || parts.length === 0 || !splits) return content;
+  const cues = parseCues(content);
+  let delta = 0;
+  parts.forEach(([index, offset], i) => {
+    if (Number.isFinite(splits[i])) delta = splits[i] - offset;
+    const end = i + 1 < parts.length ? parts[i + 1][0] : cues.length;
+    for (let k = index; k < end; k++) {
+      cues[k].start += delta;
+      cues[k].end += delta;
+    }
+  });
+  return buildSrt(cues);
+}
+
+module.exports = {
+  formatTime, parseCues, buildSrt, buildVtt,
+  parseRetimeOptions, retimeCues, retime,
+  srtToVtt, assToVtt, detectFormat, fpsFromFilename, toSrt,
+  detectParts, mergeParts, parseSplitOptions, applySplits,
+};
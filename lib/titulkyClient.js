@@ -2,9 +2,27 @@ const axios = require('axios');
 const AdmZip = require('adm-zip');
 const he = require('he');
 const { URLSearchParams } = require('url');
+const { parseEpisode, matchesEpisode, episodeTag } = require('./episodes');
+
+const CAPTCHA_RE = /captcha\/captcha\.php/i;
+
+const ADVANCED_LANGS = { cze: 'CZ', slk: 'SK' };
+
+// Fulltext fallback for a structured query: "Show S01E05" for episodes
+function fulltextFor(query) {
+  return query.season != null && query.episode != null
+    ? `${query.title} ${episodeTag(query.season, query.episode)}`
+    : query.title;
+}
+
+// Pages served to anonymous visitors: login form instead of the logout link
+function looksLoggedOut(content) {
+  if (/Odhl[aá]sit/i.test(content)) return false;
+  return /name=["']?Password["']?/i.test(content) || /nejste přihlášen|musíte se přihlásit|nepřihlášen/i.test(content);
+}
 
 class TitulkyClient {
-  constructor(username, password) {
+  constructor(username, password, { maxPages = 3, maxRequests = 6 } = {}) {
     this.serverUrl = 'https://www.titulky.com';
     this.username = username;
     this.password = password;
@@ -12,16 +30,25 @@ class TitulkyClient {
     this.loggedIn = false;
     this.loginPromise = null;
     this.lastLoginTime = 0;
+    this.lastError = null; // why the last search/download came back empty: 'auth', 'captcha', …
+    this.onSessionChange = null; // called with the client after a login and when a logged-in session's cookies change
+    this.captchas = new Map(); // subId → captcha form waiting for an answer
+    this.maxPages = maxPages; // result pages followed per search query
+    this.maxRequests = maxRequests; // titulky.com page loads per search(), over all queries
   }
 
   _parseCookiesFromHeaders(headers) {
     const setCookie = headers['set-cookie'];
     if (!setCookie) return;
     const arr = Array.isArray(setCookie) ? setCookie : [setCookie];
+    let changed = false;
     for (const c of arr) {
       const m = c.match(/^([^=]+)=([^;]*)/);
-      if (m) this.cookies[m[1].trim()] = m[2].trim();
+      if (!m || this.cookies[m[1].trim()] === m[2].trim()) continue;
+      this.cookies[m[1].trim()] = m[2].trim();
+      changed = true;
     }
+    if (changed && this.loggedIn && this.onSessionChange) this.onSessionChange(this);
   }
 
   _cookieString() {
@@ -55,8 +82,10 @@ class TitulkyClient {
 
   // ── Login ───────────────────────────────────────────────────────
 
+  // A session (also a restored one) is trusted until a page looks logged out,
+  // see _fetchLoggedIn
   async login() {
-    if (this.loggedIn && Date.now() - this.lastLoginTime < 30 * 60 * 1000) return true;
+    if (this.loggedIn) return true;
     if (this.loginPromise) return this.loginPromise;
     this.loginPromise = this._doLogin();
     try { return await this.loginPromise; } finally { this.loginPromise = null; }
@@ -82,36 +111,121 @@ class TitulkyClient {
     this.loggedIn = true;
     this.lastLoginTime = Date.now();
     console.log('[Titulky] Login OK');
+    if (this.onSessionChange) this.onSessionChange(this);
     return true;
   }
 
+  // Fetches a page, and when titulky.com dropped the session early logs in
+  // again and retries once. Returns null (lastError 'auth') if that fails too.
+  async _fetchLoggedIn(fetchPage) {
+    let page = await fetchPage();
+    if (!looksLoggedOut(page.content)) return page;
+    console.log('[Titulky] Session expired, logging in again');
+    this.loggedIn = false;
+    if (await this.login()) {
+      page = await fetchPage();
+      if (!looksLoggedOut(page.content)) return page;
+    }
+    console.log('[Titulky] Still logged out after re-login');
+    this.loggedIn = false;
+    this.lastError = 'auth';
+    return null;
+  }
+
+  // ── Session persistence ─────────────────────────────────────────
+
+  exportSession() {
+    return { cookies: this.cookies, lastLoginTime: this.lastLoginTime };
+  }
+
+  // Rehydrates a stored cookie jar so a restart doesn't force a new login
+  restoreSession(session) {
+    if (!session || !session.cookies || Object.keys(session.cookies).length === 0) return;
+    this.cookies = { ...session.cookies };
+    this.lastLoginTime = session.lastLoginTime || 0;
+    this.loggedIn = true;
+  }
+
   // ── Search (multi-strategy) ─────────────────────────────────────
 
-  async search(titles) {
-    // titles is an array of search strings to try in order
-    if (!Array.isArray(titles)) titles = [titles];
+  // query: "title", { title, year, season, episode, language, type } or an
+  // array of those; results of all variants are merged, de-duplicated by id
+  async search(queries) {
+    if (!Array.isArray(queries)) queries = [queries];
     await this.login();
+    this.lastError = null;
+
+    const merged = new Map();
+    const budget = { left: this.maxRequests };
+    for (const q of queries) {
+      const query = typeof q === 'string' ? { title: q } : q;
+      if (!query || !query.title || query.title.length < 2) continue;
+      if (budget.left <= 0) {
+        console.log(`[Titulky] Request limit (${this.maxRequests}) reached, skipping remaining queries`);
+        break;
+      }
 
-    for (const title of titles) {
-      if (!title || title.length < 2) continue;
-
-      const results = await this._searchStandard(title);
-      if (results.length > 0) return results;
+      const structured = query.year || query.season != null || query.language || query.type;
+      let results = structured ? await this._searchAdvanced(query, budget) : [];
+      if (results && results.length === 0 && budget.left > 0) {
+        if (structured) console.log(`[Titulky] Advanced search found nothing for "${query.title}", falling back to fulltext`);
+        results = await this._searchStandard(fulltextFor(query), budget);
+      }
+      if (!results) break;
+      for (const sub of results) {
+        if (!merged.has(sub.id)) merged.set(sub.id, sub);
+      }
     }
 
-    return [];
+    if (queries.length > 1) console.log(`[Titulky] ${merged.size} unique subtitle(s) from ${queries.length} queries`);
+    return [...merged.values()];
   }
 
-  async _searchStandard(title) {
-    const url = `${this.serverUrl}/?` + new URLSearchParams({ Fulltext: title });
-    console.log(`[Titulky] Search: ${url}`);
-    const res = await this._request(url);
-    const content = typeof res.data === 'string' ? res.data : '';
-    if (content.includes('Nenalezena ani jedna')) {
-      console.log('[Titulky] No results');
-      return [];
+  async _searchStandard(title, budget) {
+    return this._fetchResults(`${this.serverUrl}/?` + new URLSearchParams({ Fulltext: title }), budget);
+  }
+
+  // Advanced search form: title narrowed by year, season/episode, language and type
+  async _searchAdvanced(query, budget) {
+    const params = { Searching: 'AdvancedResult', ANazev: query.title, ARelease: '' };
+    if (query.year) params.ARok = String(query.year);
+    if (query.season != null) params.ASeria = String(query.season);
+    if (query.episode != null) params.AEpizoda = String(query.episode);
+    if (query.language) params.AJazyk = ADVANCED_LANGS[query.language] || '';
+    if (query.type) params.ATyp = query.type === 'series' ? 'S' : 'F';
+    return this._fetchResults(`${this.serverUrl}/index.php?` + new URLSearchParams(params), budget);
+  }
+
+  // Result pages up to maxPages, each taken from the search's request budget;
+  // null when the session can't be restored
+  async _fetchResults(url, budget = { left: this.maxPages }) {
+    const results = [];
+    for (let pageNo = 1; url && pageNo <= this.maxPages && budget.left > 0; pageNo++) {
+      budget.left--;
+      console.log(`[Titulky] Search: ${url}`);
+      const pageUrl = url;
+      const page = await this._fetchLoggedIn(async () => {
+        const res = await this._request(pageUrl);
+        return { content: typeof res.data === 'string' ? res.data : '' };
+      });
+      if (!page) return pageNo === 1 ? null : results;
+      const content = page.content;
+      if (content.includes('Nenalezena ani jedna')) {
+        if (pageNo === 1) console.log('[Titulky] No results');
+        break;
+      }
+      results.push(...this._parseSearchResults(content));
+      url = this._nextPageUrl(content, url);
     }
-    return this._parseSearchResults(content);
+    return results;
+  }
+
+  _nextPageUrl(content, currentUrl) {
+    const m = content.match(/<a[^>]+rel=["']?next["']?[^>]*href=["']([^"']+)["']/i)
+      || content.match(/<a[^>]+href=["']([^"']+)["'][^>]*>\s*(?:další|následující|&raquo;|»|&gt;)/i);
+    if (!m) return null;
+    const next = new URL(he.decode(m[1]), currentUrl).href;
+    return next === currentUrl ? null : next;
   }
 
   // ── Parse results ───────────────────────────────────────────────
@@ -223,26 +337,72 @@ class TitulkyClient {
     return subtitles;
   }
 
+  // ── Detail page ─────────────────────────────────────────────────
+
+  // IMDB id, year, FPS and release names from /<linkFile>.htm
+  async getDetail(linkFile) {
+    const res = await this._request(`${this.serverUrl}/${linkFile}.htm`);
+    if (res.status !== 200 || typeof res.data !== 'string') {
+      console.log(`[Titulky] Detail ${linkFile} failed (HTTP ${res.status})`);
+      return null;
+    }
+    return this._parseDetail(res.data, linkFile);
+  }
+
+  _parseDetail(content, linkFile) {
+    const text = he.decode(content.replace(/<[^>]+>/g, ' '));
+
+    const imdbMatch = content.match(/imdb\.com\/title\/(tt\d{7,})/i);
+    const yearMatch = text.match(/Rok[^0-9]{0,40}((?:19|20)\d{2})/i);
+    const fpsMatch = text.match(/FPS[^0-9]{0,20}(\d{2}(?:[.,]\d{1,3})?)/i);
+
+    const releases = new Set();
+    const releaseRe = /[\w.+-]*\.(?:\d{3,4}p|DVDRip|BDRip|BRRip|BluRay|WEB-?DL|WEBRip|HDTV|HDRip)[\w.+-]*/gi;
+    let m;
+    while ((m = releaseRe.exec(text)) !== null) releases.add(m[0].replace(/^[.-]+|[.-]+$/g, ''));
+
+    return {
+      linkFile,
+      imdbId: imdbMatch ? imdbMatch[1] : null,
+      year: yearMatch ? parseInt(yearMatch[1], 10) : null,
+      fps: fpsMatch ? parseFloat(fpsMatch[1].replace(',', '.')) : null,
+      releases: [...releases],
+    };
+  }
+
   // ── Download ────────────────────────────────────────────────────
 
-  async downloadSubtitle(subId, linkFile) {
+  // episode: { season, episode } picks the matching file out of season packs
+  async downloadSubtitle(subId, linkFile, episode = null) {
     await this.login();
     console.log(`[Titulky] Download sub ${subId}`);
+    this.lastError = null;
 
-    const ts = Math.floor(Date.now() / 1000);
-    const params = new URLSearchParams({ R: String(ts), titulky: subId, histstamp: '', zip: 'z' });
-    const downloadPageUrl = `${this.serverUrl}/idown.php?${params}`;
-    const referer = `${this.serverUrl}/${linkFile}.htm`;
-
-    const res = await this._request(downloadPageUrl, { referer });
-    const content = typeof res.data === 'string' ? res.data : '';
+    const page = await this._fetchLoggedIn(() => this._openDownloadPage(subId, linkFile));
+    if (!page) return null;
+    const { content, url } = page;
 
-    // Captcha check
-    if (/captcha\/captcha\.php/i.test(content)) {
+    // Captcha check – keep the form so the user can answer it later
+    if (CAPTCHA_RE.test(content)) {
       console.log('[Titulky] Captcha required');
+      this.captchas.set(String(subId), this._parseCaptchaForm(content, url));
+      this.lastError = 'captcha';
       return null;
     }
 
+    return this._finishDownload(content, episode);
+  }
+
+  async _openDownloadPage(subId, linkFile) {
+    const ts = Math.floor(Date.now() / 1000);
+    const params = new URLSearchParams({ R: String(ts), titulky: subId, histstamp: '', zip: 'z' });
+    const url = `${this.serverUrl}/idown.php?${params}`;
+    const res = await this._request(url, { referer: `${this.serverUrl}/${linkFile}.htm` });
+    return { content: typeof res.data === 'string' ? res.data : '', url };
+  }
+
+  // Download page → wait → zip → extracted files
+  async _finishDownload(content, episode) {
     // Wait time
     let waitTime = 0;
     const wm = content.match(/CountDown\((\d+)\)/i);
@@ -254,6 +414,7 @@ class TitulkyClient {
     if (!lm) {
       console.log('[Titulky] No download link found');
       console.log('[Titulky] Page snippet:', content.substring(0, 500));
+      this.lastError = 'no_link';
       return null;
     }
     const downloadLink = lm[1].startsWith('http') ? lm[1] : this.serverUrl + lm[1];
@@ -271,13 +432,90 @@ class TitulkyClient {
 
     if (!zipRes.data || zipRes.data.length < 50) {
       console.log('[Titulky] Download too small');
+      this.lastError = 'too_small';
       return null;
     }
 
-    return this._extractSubtitles(Buffer.from(zipRes.data));
+    return this._extractSubtitles(Buffer.from(zipRes.data), episode);
   }
 
-  _extractSubtitles(zipBuffer) {
+  // ── Captcha ─────────────────────────────────────────────────────
+
+  _parseCaptchaForm(content, pageUrl) {
+    const forms = content.match(/<form[\s\S]*?<\/form>/gi) || [content];
+    const form = forms.find(f => CAPTCHA_RE.test(f)) || forms[0];
+    const attr = (tag, name) => {
+      const m = tag.match(new RegExp(`${name}=["']?([^"'\\s>]*)`, 'i'));
+      return m ? he.decode(m[1]) : '';
+    };
+    const formTag = (form.match(/<form[^>]*>/i) || [''])[0];
+    const fields = {};
+    let answerField = 'downkod';
+    for (const input of form.match(/<input[^>]*>/gi) || []) {
+      const type = attr(input, 'type').toLowerCase();
+      const name = attr(input, 'name');
+      if (!name) continue;
+      if (type === 'hidden') fields[name] = attr(input, 'value');
+      else if (type === 'text' || !type) answerField = name;
+    }
+    const img = form.match(/<img[^>]+src=["']?([^"'\s>]*captcha\.php[^"'\s>]*)/i);
+    return {
+      action: new URL(attr(formTag, 'action') || pageUrl, pageUrl).href,
+      method: (attr(formTag, 'method') || 'get').toLowerCase(),
+      fields,
+      answerField,
+      imageUrl: new URL(img ? he.decode(img[1]) : '/captcha/captcha.php', pageUrl).href,
+      referer: pageUrl,
+    };
+  }
+
+  // Captcha image for a subtitle, asking titulky.com for a fresh form when
+  // none is pending. Returns null when the site no longer wants a captcha.
+  async getCaptchaImage(subId, linkFile) {
+    await this.login();
+    let form = this.captchas.get(String(subId));
+    if (!form) {
+      const page = await this._fetchLoggedIn(() => this._openDownloadPage(subId, linkFile));
+      if (!page || !CAPTCHA_RE.test(page.content)) return null;
+      const { content, url } = page;
+      form = this._parseCaptchaForm(content, url);
+      this.captchas.set(String(subId), form);
+    }
+    const res = await this._request(form.imageUrl, { referer: form.referer, responseType: 'arraybuffer' });
+    if (res.status !== 200 || !res.data) return null;
+    return { body: Buffer.from(res.data), contentType: res.headers?.['content-type'] || null };
+  }
+
+  // Submits the answer with this session's cookies and finishes the download
+  async solveCaptcha(subId, linkFile, answer, episode = null) {
+    await this.login();
+    this.lastError = null;
+    const form = this.captchas.get(String(subId));
+    if (!form) return this.downloadSubtitle(subId, linkFile, episode);
+    this.captchas.delete(String(subId));
+
+    console.log(`[Titulky] Submitting captcha for ${subId}`);
+    const params = new URLSearchParams({ ...form.fields, [form.answerField]: answer });
+    const res = form.method === 'post'
+      ? await this._request(form.action, {
+        method: 'POST',
+        data: params.toString(),
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Origin: this.serverUrl },
+        referer: form.referer,
+      })
+      : await this._request(`${form.action.split('?')[0]}?${params}`, { referer: form.referer });
+    const content = typeof res.data === 'string' ? res.data : '';
+
+    if (CAPTCHA_RE.test(content)) {
+      console.log('[Titulky] Captcha answer rejected');
+      this.captchas.set(String(subId), this._parseCaptchaForm(content, form.action));
+      this.lastError = 'captcha';
+      return null;
+    }
+    return this._finishDownload(content, episode);
+  }
+
+  _extractSubtitles(zipBuffer, episode = null) {
     const exts = ['.srt', '.sub', '.txt', '.smi', '.ssa', '.ass'];
     try {
       const zip = new AdmZip(zipBuffer);
@@ -294,6 +532,17 @@ class TitulkyClient {
         return as - bs;
       });
       console.log(`[Titulky] Extracted ${results.length} file(s)`);
+
+      // Season pack: keep only the entries of the requested episode,
+      // fall back to everything when no entry name matches
+      if (episode && results.length > 1) {
+        const matching = results.filter(r =>
+          matchesEpisode(parseEpisode(r.filename.split('/').pop()), episode.season, episode.episode));
+        if (matching.length > 0) {
+          console.log(`[Titulky] Picked ${matching[0].filename} for S${episode.season}E${episode.episode}`);
+          return matching.map(r => ({ ...r, episodeMatch: true }));
+        }
+      }
       return results;
     } catch (e) {
       console.error('[Titulky] Zip error:', e.message);
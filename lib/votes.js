@@ -0,0 +1,53 @@
+// Sync-quality votes: does subtitle X fit release group Y? One vote per user
+// (+1 / -1) stored at votes/<subId>.json as { group: { username: vote } }.
+// Votes cast without a known release group are kept under "-".
+
+const JsonDocs = require('./jsonDocs');
+
+function groupKey(group) {
+  return group ? String(group).toLowerCase() : '-';
+}
+
+class VoteStore {
+  constructor(storage, { maxEntries = 5000 } = {}) {
+    this.docs = new JsonDocs(storage, { maxEntries }); // votes/<subId>.json → { group: { username: vote } }
+  }
+
+  _key(subId) {
+    return `votes/${subId}.json`;
+  }
+
+  // value: 1 (fits), -1 (out of sync) or 0 to take the vote back. Rejects
+  // when the stored votes can't be read, they are never written over.
+  async vote(username, subId, group, value) {
+    const key = groupKey(group);
+    const user = username.toLowerCase();
+    await this.docs.update(this._key(subId), votes => {
+      votes[key] = votes[key] || {};
+      if (value) votes[key][user] = value > 0 ? 1 : -1;
+      else delete votes[key][user];
+      if (Object.keys(votes[key]).length === 0) delete votes[key];
+    });
+    console.log(`[Vote] ${username} → ${subId} [${key}]: ${value > 0 ? '👍' : value < 0 ? '👎' : 'removed'}`);
+    return this.tally(subId, group, username);
+  }
+
+  // { up, down, mine } for one subtitle and release group
+  async tally(subId, group, username = null) {
+    let votes = {};
+    try {
+      votes = await this.docs.load(this._key(subId));
+    } catch (e) {
+      console.log(`[Vote] Load error for ${subId}: ${e.message}`);
+    }
+    const voters = votes[groupKey(group)] || {};
+    const values = Object.values(voters);
+    return {
+      up: values.filter(v => v > 0).length,
+      down: values.filter(v => v < 0).length,
+      mine: username ? voters[username.toLowerCase()] || 0 : 0,
+    };
+  }
+}
+
+module.exports = VoteStore;
@@ -2,198 +2,236 @@ const express = require('express');
 const TitulkyClient = require('./lib/titulkyClient');
 const axios = require('axios');
 const iconv = require('iconv-lite');
-const { S3Client, GetObjectCommand, PutObjectCommand, ListObjectsV2Command, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { createStorage } = require('./lib/storage');
+const ConfigStore = require('./lib/configStore');
+const { episodeTag, parseSeriesInfo, matchesEpisode } = require('./lib/episodes');
+const QuotaTracker = require('./lib/quota');
+const SearchCache = require('./lib/searchCache');
+const DownloadQueue = require('./lib/downloadQueue');
+const ImdbIndex = require('./lib/imdbIndex');
+const { createMetadataService } = require('./lib/metadata');
+const ChoiceStore = require('./lib/choices');
+const VoteStore = require('./lib/votes');
+const HashIndex = require('./lib/hashIndex');
+const {
+  parseRetimeOptions, retime, srtToVtt, assToVtt, toSrt,
+  detectParts, mergeParts, parseSplitOptions, applySplits,
+} = require('./lib/subtitles');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// ── R2 Cloud Cache ───────────────────────────────────────────────
-const r2Enabled = !!(process.env.R2_ENDPOINT && process.env.R2_ACCESS_KEY_ID && process.env.R2_SECRET_ACCESS_KEY && process.env.R2_BUCKET);
+// ── Storage (R2 or local disk) ───────────────────────────────────
+const storage = createStorage();
+const cachedIds = new Set(); // in-memory index of cached subtitle IDs
 
-let s3 = null;
-const r2CachedIds = new Set(); // in-memory index of cached subtitle IDs
-
-if (r2Enabled) {
-  s3 = new S3Client({
-    region: 'auto',
-    endpoint: process.env.R2_ENDPOINT,
-    credentials: {
-      accessKeyId: process.env.R2_ACCESS_KEY_ID,
-      secretAccessKey: process.env.R2_SECRET_ACCESS_KEY,
-    },
-  });
-  console.log(`[R2] Cache enabled (bucket: ${process.env.R2_BUCKET})`);
+if (storage) {
+  console.log(`[Storage] ${storage.name} storage enabled (${storage.location})`);
 
   // Load cache index on startup (async, non-blocking)
   (async () => {
     try {
-      let continuationToken = undefined;
-      let total = 0;
-      do {
-        const res = await s3.send(new ListObjectsV2Command({
-          Bucket: process.env.R2_BUCKET,
-          Prefix: 'subs/',
-          ContinuationToken: continuationToken,
-        }));
-        for (const obj of (res.Contents || [])) {
-          const id = obj.Key.replace('subs/', '').replace('.srt', '');
-          if (id) r2CachedIds.add(id);
-          total++;
-        }
-        continuationToken = res.IsTruncated ? res.NextContinuationToken : undefined;
-      } while (continuationToken);
-      console.log(`[R2] Cache index loaded: ${total} subtitle(s)`);
+      const items = await storage.list('subs/');
+      for (const { key } of items) {
+        const id = key.replace('subs/', '').replace('.srt', '');
+        if (id) cachedIds.add(id);
+      }
+      console.log(`[Storage] Cache index loaded: ${items.length} subtitle(s)`);
     } catch (e) {
-      console.log(`[R2] Cache index load error: ${e.message}`);
+      console.log(`[Storage] Cache index load error: ${e.message}`);
     }
   })();
 } else {
-  console.log('[R2] Cache disabled (missing env variables)');
+  console.log('[Storage] Disabled (set R2_* or STORAGE_DIR env variables)');
 }
 
-async function r2Get(subId) {
-  if (!s3) return null;
+async function cacheGet(key) {
+  if (!storage) return null;
   try {
-    const res = await s3.send(new GetObjectCommand({
-      Bucket: process.env.R2_BUCKET,
-      Key: `subs/${subId}.srt`,
-    }));
-    const chunks = [];
-    for await (const chunk of res.Body) chunks.push(chunk);
-    const content = Buffer.concat(chunks).toString('utf-8');
-    const filename = res.Metadata?.filename || `${subId}.srt`;
-    console.log(`[R2] Cache HIT: ${subId}`);
-    return { content, filename };
+    const obj = await storage.get(`subs/${key}.srt`);
+    if (!obj) return null; // not cached
+    const content = obj.body.toString('utf-8');
+    const filename = obj.metadata.filename || `${key}.srt`;
+    let parts = null;
+    try { parts = obj.metadata.parts ? JSON.parse(obj.metadata.parts) : null; } catch { /* ignore */ }
+    console.log(`[Storage] Cache HIT: ${key}`);
+    return { content, filename, parts };
   } catch (e) {
-    if (e.name === 'NoSuchKey' || e.$metadata?.httpStatusCode === 404) {
-      return null; // not cached
-    }
-    console.log(`[R2] Get error: ${e.message}`);
+    console.log(`[Storage] Get error: ${e.message}`);
     return null;
   }
 }
 
-async function r2Put(subId, content, filename) {
-  if (!s3) return;
+async function cachePut(key, content, filename, parts = null) {
+  if (!storage) return;
   try {
-    await s3.send(new PutObjectCommand({
-      Bucket: process.env.R2_BUCKET,
-      Key: `subs/${subId}.srt`,
-      Body: content,
-      ContentType: 'text/plain; charset=utf-8',
-      Metadata: { filename },
-    }));
-    r2CachedIds.add(String(subId));
-    console.log(`[R2] Cached: ${subId}`);
+    const metadata = { filename };
+    if (parts && parts.length > 0) metadata.parts = JSON.stringify(parts);
+    await storage.put(`subs/${key}.srt`, content, {
+      contentType: 'text/plain; charset=utf-8',
+      metadata,
+    });
+    cachedIds.add(String(key));
+    console.log(`[Storage] Cached: ${key}`);
   } catch (e) {
-    console.log(`[R2] Put error: ${e.message}`);
+    console.log(`[Storage] Put error: ${e.message}`);
   }
 }
 
-// ── R2 History helpers ───────────────────────────────────────────
+// Season packs are cached per episode ("123456-s01e05"), everything else by subtitle id
+function cacheKeyFor(subId, season = null, episode = null) {
+  return season !== null && episode !== null ? `${subId}-${episodeTag(season, episode).toLowerCase()}` : String(subId);
+}
+
+function isCached(subId, season = null, episode = null) {
+  return cachedIds.has(cacheKeyFor(subId, season, episode)) || cachedIds.has(String(subId));
+}
+
+// ── History helpers ──────────────────────────────────────────────
 
-async function r2GetHistory(username) {
-  if (!s3) return [];
+async function getHistory(username) {
+  if (!storage) return [];
   try {
-    const res = await s3.send(new GetObjectCommand({
-      Bucket: process.env.R2_BUCKET,
-      Key: `history/${username}.json`,
-    }));
-    const chunks = [];
-    for await (const chunk of res.Body) chunks.push(chunk);
-    return JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+    return await storage.getJson(`history/${username}.json`, []);
   } catch {
     return [];
   }
 }
 
-async function r2SaveHistory(username, history) {
-  if (!s3) return;
+async function saveHistory(username, history) {
+  if (!storage) return;
   try {
-    await s3.send(new PutObjectCommand({
-      Bucket: process.env.R2_BUCKET,
-      Key: `history/${username}.json`,
-      Body: JSON.stringify(history),
-      ContentType: 'application/json',
-    }));
+    await storage.putJson(`history/${username}.json`, history);
   } catch (e) {
-    console.log(`[R2] History save error: ${e.message}`);
+    console.log(`[Storage] History save error: ${e.message}`);
   }
 }
 
-async function r2AddToHistory(username, item) {
-  if (!s3) return;
-  let history = await r2GetHistory(username);
+async function addToHistory(username, item) {
+  if (!storage) return;
+  let history = await getHistory(username);
   // Remove duplicate (by full id including episode)
   history = history.filter(h => h.id !== item.id);
   // Add to front
   history.unshift(item);
   // Keep only 10
   history = history.slice(0, 10);
-  await r2SaveHistory(username, history);
+  await saveHistory(username, history);
 }
 
-// ── R2 Custom subtitle helpers ───────────────────────────────────
+// ── Custom subtitle helpers ──────────────────────────────────────
 
-async function r2GetCustomSubs(imdbId) {
-  if (!s3) return [];
+async function getCustomSubs(imdbId) {
+  if (!storage) return [];
   try {
-    const res = await s3.send(new ListObjectsV2Command({
-      Bucket: process.env.R2_BUCKET,
-      Prefix: `custom/${imdbId}/`,
-    }));
-    if (!res.Contents || res.Contents.length === 0) return [];
+    const items = await storage.list(`custom/${imdbId}/`);
+    if (items.length === 0) return [];
 
     const subs = [];
-    for (const obj of res.Contents) {
-      if (!/\.(srt|ssa|ass|sub|vtt)$/i.test(obj.Key)) continue;
+    for (const { key } of items) {
+      if (!/\.(srt|ssa|ass|sub|vtt)$/i.test(key)) continue;
       try {
-        const getRes = await s3.send(new GetObjectCommand({
-          Bucket: process.env.R2_BUCKET,
-          Key: obj.Key,
-        }));
-        const chunks = [];
-        for await (const chunk of getRes.Body) chunks.push(chunk);
-        const filename = obj.Key.split('/').pop();
-        const label = getRes.Metadata?.label || filename.replace(/\.(srt|ssa|ass|sub|vtt)$/i, '');
-        const lang = getRes.Metadata?.lang || 'cze';
-        const uploader = getRes.Metadata?.uploader || 'unknown';
-        subs.push({ key: obj.Key, filename, label, lang, uploader });
+        const head = await storage.head(key);
+        if (!head) continue;
+        const filename = key.split('/').pop();
+        const label = head.metadata.label || filename.replace(/\.(srt|ssa|ass|sub|vtt)$/i, '');
+        const lang = head.metadata.lang || 'cze';
+        const uploader = head.metadata.uploader || 'unknown';
+        subs.push({ key, filename, label, lang, uploader });
       } catch { /* skip */ }
     }
-    console.log(`[R2] Found ${subs.length} custom sub(s) for ${imdbId}`);
+    console.log(`[Storage] Found ${subs.length} custom sub(s) for ${imdbId}`);
     return subs;
   } catch {
     return [];
   }
 }
 
-async function r2PutCustomSub(imdbId, filename, content, label, lang, uploader) {
-  if (!s3) return false;
+async function putCustomSub(imdbId, filename, content, label, lang, uploader) {
+  if (!storage) return false;
   try {
     const key = `custom/${imdbId}/${filename}`;
     const ext = filename.split('.').pop().toLowerCase();
     const mimeTypes = { srt: 'text/plain', ssa: 'text/plain', ass: 'text/plain', sub: 'text/plain', vtt: 'text/vtt' };
-    await s3.send(new PutObjectCommand({
-      Bucket: process.env.R2_BUCKET,
-      Key: key,
-      Body: content,
-      ContentType: (mimeTypes[ext] || 'text/plain') + '; charset=utf-8',
-      Metadata: { label, lang, uploader: uploader || 'unknown' },
-    }));
-    console.log(`[R2] Custom sub saved: ${key} (by ${uploader})`);
+    await storage.put(key, content, {
+      contentType: (mimeTypes[ext] || 'text/plain') + '; charset=utf-8',
+      metadata: { label, lang, uploader: uploader || 'unknown' },
+    });
+    console.log(`[Storage] Custom sub saved: ${key} (by ${uploader})`);
+    await searchCache.invalidate(imdbId);
     return true;
   } catch (e) {
-    console.log(`[R2] Custom sub error: ${e.message}`);
+    console.log(`[Storage] Custom sub error: ${e.message}`);
     return false;
   }
 }
 
 // ── Client cache (keyed by username) ──────────────────────────────
 const clientCache = new Map();
+const SEARCH_MAX_PAGES = parseInt(process.env.SEARCH_MAX_PAGES, 10) || 3; // result pages per search query
+const SEARCH_MAX_REQUESTS = parseInt(process.env.SEARCH_MAX_REQUESTS, 10) || 6; // titulky.com page loads per title search
 const subtitleCache = new Map(); // cache downloaded subs for 1h
 const SUBTITLE_CACHE_TTL = 60 * 60 * 1000;
 
+// ── Search result cache (type+id, optionally shared through storage) ──
+const SEARCH_CACHE_TTL = (process.env.SEARCH_CACHE_TTL ? parseInt(process.env.SEARCH_CACHE_TTL, 10) : 600) * 1000; // seconds, 0 disables
+const searchCache = new SearchCache(storage, SEARCH_CACHE_TTL, { shared: process.env.SEARCH_CACHE_SHARED === '1' });
+
+// ── Titulky sessions (cookie jar survives restarts) ───────────────
+// Stored encrypted with the config store key, together with a keyed hash of
+// the password: a session is only handed to a config that knows the password.
+// Without CONFIG_SECRET sessions aren't persisted.
+
+function sessionKey(username) {
+  return `sessions/${username.toLowerCase()}.json`;
+}
+
+async function loadSession(account) {
+  if (!configStore.enabled) return null;
+  try {
+    const payload = await storage.getJson(sessionKey(account.username));
+    if (!payload) return null;
+    const session = configStore.open(payload);
+    return configStore.matchesCredentials(session.auth, account.username, account.password) ? session : null;
+  } catch (e) {
+    console.log(`[Storage] Session load error: ${e.message}`);
+    return null;
+  }
+}
+
+async function saveSession(client) {
+  if (!configStore.enabled) return;
+  try {
+    const auth = configStore.credentialTag(client.username, client.password);
+    await storage.putJson(sessionKey(client.username), configStore.seal({ ...client.exportSession(), auth }));
+  } catch (e) {
+    console.log(`[Storage] Session save error: ${e.message}`);
+  }
+}
+
+// ── Daily download quota per account ──────────────────────────────
+const quota = new QuotaTracker(storage, parseInt(process.env.TITULKY_DAILY_LIMIT, 10) || 25);
+
+// ── Remembered subtitle choices (per user, optionally shared) ─────
+const choices = new ChoiceStore(storage, { global: process.env.SHARED_CHOICES === '1' });
+
+// ── Sync-quality votes (subtitle + release group) ─────────────────
+const votes = new VoteStore(storage);
+
+// ── Video hash → subtitle pairs (crowd-sourced) ───────────────────
+const hashes = new HashIndex(storage);
+
+// Ranking bonus: a few 👍 lift a subtitle, 👎 sink it harder
+function voteScore({ up, down }) {
+  const net = up - down;
+  return net > 0 ? Math.min(net, 3) * 15 : Math.max(net, -3) * 40;
+}
+
+// Verified: more 👍 than 👎 for this release group
+function isVerified(tally) {
+  return !!tally && tally.up > tally.down;
+}
+
 // ── Release tag matching ──────────────────────────────────────────
 
 const RELEASE_TAGS = [
@@ -219,10 +257,52 @@ function extractReleaseTags(filename) {
   return [...new Set(found)];
 }
 
-function scoreSubtitle(subVersion, playingTags) {
+// Trailing "-GROUP" of a release name; "WEB-DL" and friends are not groups
+const NOT_GROUPS = new Set(['dl', 'rip', 'hd', 'cam', 'ts', 'sdr', 'hdr', 'dts', 'ma', 'x', 'cut']);
+
+function extractReleaseGroup(filename) {
+  if (!filename) return null;
+  const base = filename.trim().replace(/\.(mkv|mp4|avi|m4v|ts|srt|sub|ass|ssa|vtt)$/i, '').replace(/\[[^\]]*\]$/, '').trim();
+  const m = base.match(/-([a-z0-9]{2,})$/i);
+  if (!m) return null;
+  const group = m[1].toLowerCase();
+  if (NOT_GROUPS.has(group) || /^(\d{3,4}p|[xh]26[45]|\d+)$/.test(group)) return null;
+  return group;
+}
+
+// Cuts that change the timing; "Theatrical" is the same as no edition
+const EDITIONS = {
+  extended: /\bextended\b/,
+  directors: /\bdirector'?s? ?cut\b/,
+  imax: /\bimax\b/,
+  unrated: /\bunrated\b/,
+  uncut: /\buncut\b/,
+  final: /\bfinal cut\b/,
+  remastered: /\bremastered\b/,
+};
+
+function extractEditions(filename) {
+  if (!filename) return [];
+  const text = filename.toLowerCase().replace(/[._-]+/g, ' ');
+  return Object.keys(EDITIONS).filter(e => EDITIONS[e].test(text));
+}
+
+function parseRelease(filename) {
+  return { tags: extractReleaseTags(filename), group: extractReleaseGroup(filename), editions: extractEditions(filename) };
+}
+
+function scoreSubtitle(subVersion, playing) {
+  const playingTags = playing.tags;
   if (!subVersion || playingTags.length === 0) return 0;
   const subTags = extractReleaseTags(subVersion);
   let score = 0;
+  // Same release group: timing almost certainly fits, outweighs everything else
+  if (playing.group && extractReleaseGroup(subVersion) === playing.group) score += 100;
+  // Different cut (Extended vs. theatrical, IMAX…) won't fit no matter the rest
+  const subEditions = extractEditions(subVersion);
+  const editionMismatches = [...new Set([...subEditions, ...playing.editions])]
+    .filter(e => subEditions.includes(e) !== playing.editions.includes(e)).length;
+  score -= editionMismatches * 30;
   // Resolution match (most important)
   const resolutions = ['2160p', '1080p', '720p', '480p'];
   for (const res of resolutions) {
@@ -241,13 +321,79 @@ function scoreSubtitle(subVersion, playingTags) {
   return score;
 }
 
+// ── Per-user subtitle preferences (config.prefs) ──────────────────
+
+// Language preference → allowed languages in display order (missing = both, unordered)
+const LANG_ORDERS = { cze: ['cze'], slk: ['slk'], 'cze-slk': ['cze', 'slk'] };
+const MAX_RESULTS_LIMIT = 30;
+const ISO_LANGS = { cze: 'ces', slk: 'slk' }; // ISO 639-2/T codes for the ISO language code mode
+
+function userPrefs(config) {
+  const prefs = config.prefs || {};
+  return {
+    lang: LANG_ORDERS[prefs.lang] ? prefs.lang : null,
+    maxResults: Math.min(MAX_RESULTS_LIMIT, Math.max(1, parseInt(prefs.maxResults, 10) || 10)),
+    hideMismatched: !!prefs.hideMismatched,
+    pinCustom: prefs.pinCustom !== false,
+    retime: !!prefs.retime,
+  };
+}
+
+// Only non-default values end up in the config
+function sanitizePrefs(input) {
+  if (!input || typeof input !== 'object') return null;
+  const prefs = userPrefs({ prefs: input });
+  const out = {};
+  if (prefs.lang) out.lang = prefs.lang;
+  if (prefs.maxResults !== 10) out.maxResults = prefs.maxResults;
+  if (prefs.hideMismatched) out.hideMismatched = true;
+  if (!prefs.pinCustom) out.pinCustom = false;
+  if (prefs.retime) out.retime = true;
+  return Object.keys(out).length ? out : null;
+}
+
+// ── IMDB index (from titulky.com detail pages) ────────────────────
+const imdbIndex = new ImdbIndex(storage);
+const DETAIL_LOOKUPS = parseInt(process.env.DETAIL_LOOKUPS, 10) || 8; // detail pages checked per search
+
+// Search result with the IMDB id / year / FPS from its detail page, once known
+function withDetail(sub) {
+  const detail = imdbIndex.known(sub.id);
+  return detail ? { ...sub, imdbId: detail.imdbId, year: detail.year, fps: detail.fps } : sub;
+}
+
+// Fetches detail pages of new search results in the background, two at a
+// time; later requests pick them up through withDetail()
+async function resolveDetails(client, results) {
+  const subs = results.filter(sub => !imdbIndex.known(sub.id)).slice(0, DETAIL_LOOKUPS);
+  for (let i = 0; i < subs.length; i += 2) {
+    await Promise.all(subs.slice(i, i + 2).map(async sub => {
+      try {
+        const detail = await imdbIndex.detail(sub.id, () => client.getDetail(sub.linkFile));
+        if (detail && detail.imdbId) await imdbIndex.add(detail.imdbId, withDetail(sub));
+      } catch (e) {
+        console.log(`[Index] Detail error for ${sub.id}: ${e.message}`);
+      }
+    }));
+  }
+}
+
 // ── Config helpers ────────────────────────────────────────────────
+// New installs get an opaque token (see lib/configStore.js). Legacy
+// base64 configs with the password inside keep working until re-installed.
+
+const configStore = new ConfigStore(storage, process.env.CONFIG_SECRET);
+if (configStore.enabled) {
+  console.log('[Config] Install tokens enabled');
+} else {
+  console.log('[Config] Install tokens disabled (needs storage and CONFIG_SECRET) – using legacy URL configs');
+}
 
-function encodeConfig(obj) {
+function encodeLegacyConfig(obj) {
   return Buffer.from(JSON.stringify(obj)).toString('base64url');
 }
 
-function decodeConfig(str) {
+function decodeLegacyConfig(str) {
   try {
     return JSON.parse(Buffer.from(str, 'base64url').toString('utf-8'));
   } catch {
@@ -259,42 +405,148 @@ function decodeConfig(str) {
   }
 }
 
-async function getClient(config) {
-  const key = config.username;
-  if (clientCache.has(key)) {
-    const client = clientCache.get(key);
-    if (client.loggedIn) return client;
+async function decodeConfig(str) {
+  if (ConfigStore.isToken(str)) return configStore.load(str);
+  return decodeLegacyConfig(str);
+}
+
+// Hide install tokens and legacy configs from the request log
+function redactPath(path) {
+  return path.split('/').map(seg =>
+    ConfigStore.isToken(seg) || (seg.length > 20 && seg.startsWith('eyJ')) ? '<config>' : seg
+  ).join('/');
+}
+
+// Primary account first, then the extra ones from config.accounts
+function configAccounts(config) {
+  const accounts = [{ username: config.username, password: config.password }, ...(config.accounts || [])];
+  const seen = new Set();
+  return accounts.filter(a => {
+    if (!a || !a.username || seen.has(a.username.toLowerCase())) return false;
+    seen.add(a.username.toLowerCase());
+    return true;
+  });
+}
+
+// Clients are rehydrated from the stored cookie jar, the session is saved
+// again whenever the client logs in or titulky.com updates its cookies.
+async function getClientFor(account) {
+  const key = account.username;
+  let client = clientCache.get(key);
+  if (!client || !client.loggedIn || client.password !== account.password) {
+    client = new TitulkyClient(account.username, account.password, { maxPages: SEARCH_MAX_PAGES, maxRequests: SEARCH_MAX_REQUESTS });
+    client.restoreSession(await loadSession(account));
+    client.onSessionChange = saveSession;
   }
-  const client = new TitulkyClient(config.username, config.password);
   const ok = await client.login();
-  if (ok) {
-    clientCache.set(key, client);
-    return client;
+  if (!ok) return null;
+  clientCache.set(key, client);
+  return client;
+}
+
+// Any account that can log in will do for searching
+async function getClient(config) {
+  for (const account of configAccounts(config)) {
+    const client = await getClientFor(account);
+    if (client) return client;
   }
   return null;
 }
 
-// ── Cinemeta – resolve IMDB ID → title ────────────────────────────
+// Tries the install's accounts in turn. An account that runs into captcha /
+// the daily limit is marked in the quota tracker and skipped until the reset;
+// a broken or removed subtitle (no link, bad archive) stops the failover.
+// With a `reserve` (prefetch) accounts whose estimated remaining downloads
+// don't exceed it are skipped too.
+async function downloadWithFailover(config, subId, linkFile, episode, { reserve = 0 } = {}) {
+  let limited = false;
+  let captchaAccount = null;
+  let authFailed = false;
+  for (const account of configAccounts(config)) {
+    const status = await quota.status(account.username);
+    if (status.exhausted || (reserve > 0 && status.remaining <= reserve)) {
+      limited = true;
+      continue;
+    }
+    const client = await getClientFor(account);
+    if (!client) {
+      console.log(`[Addon] Login failed for ${account.username}, trying next account`);
+      continue;
+    }
+    const files = await client.downloadSubtitle(subId, linkFile, episode);
+    if (files && files.length > 0) {
+      quota.recordDownload(account.username);
+      return { files, account };
+    }
+    console.log(`[Addon] Download of ${subId} failed for ${account.username} (${client.lastError || 'empty archive'})`);
+    if (client.lastError === 'auth') {
+      authFailed = true;
+      continue;
+    }
+    if (client.lastError !== 'captcha') return { error: 'failed' };
+    limited = true;
+    captchaAccount = account.username;
+    await quota.markLimited(account.username);
+  }
+  return { error: limited ? 'limit' : authFailed ? 'auth' : 'login', captchaAccount };
+}
 
-async function getMeta(type, id) {
-  const imdbId = id.split(':')[0];
-  try {
-    const res = await axios.get(
-      `https://v3-cinemeta.strem.io/meta/${type}/${imdbId}.json`,
-      { timeout: 8000 }
-    );
-    return res.data?.meta || null;
-  } catch {
-    return null;
+// Quota summed over all accounts of an install
+async function quotaForConfig(config) {
+  const accounts = [];
+  for (const account of configAccounts(config)) {
+    accounts.push({ username: account.username, ...(await quota.status(account.username)) });
   }
+  return {
+    accounts,
+    used: accounts.reduce((n, a) => n + a.used, 0),
+    limit: accounts.reduce((n, a) => n + a.limit, 0),
+    remaining: accounts.reduce((n, a) => n + a.remaining, 0),
+    exhausted: accounts.every(a => a.exhausted),
+    resetAt: accounts[0].resetAt,
+  };
+}
+
+// ── Captcha hand-off ──────────────────────────────────────────────
+// Downloads refused because of the daily limit wait here until the user
+// answers the captcha on the dashboard with the same client session.
+const pendingCaptchas = new Map(); // username (lowercase) → Map(cacheKey → item)
+const PENDING_CAPTCHA_LIMIT = 10;
+
+function captchaQueue(config) {
+  const id = config.username.toLowerCase();
+  if (!pendingCaptchas.has(id)) pendingCaptchas.set(id, new Map());
+  return pendingCaptchas.get(id);
+}
+
+function addPendingCaptcha(config, item) {
+  const queue = captchaQueue(config);
+  const key = cacheKeyFor(item.subId, item.season, item.episode);
+  queue.delete(key);
+  queue.set(key, { ...item, key, time: Date.now() });
+  while (queue.size > PENDING_CAPTCHA_LIMIT) queue.delete(queue.keys().next().value);
+}
+
+function getPendingCaptchas(config) {
+  return [...captchaQueue(config).values()].reverse();
 }
 
+// Client of the account the captcha belongs to, falling back to any account
+async function captchaClient(config, item) {
+  const account = configAccounts(config).find(a => a.username === item.account);
+  return (account && await getClientFor(account)) || getClient(config);
+}
+
+// ── Cinemeta – resolve IMDB ID → title ────────────────────────────
+// (plus Czech / Slovak titles from TMDB, see lib/metadata.js)
+const metadata = createMetadataService();
+
 // ── Trust proxy (Render runs behind a reverse proxy) ──────────────
 app.set('trust proxy', 1);
 
 // ── Request logging ───────────────────────────────────────────────
 app.use((req, res, next) => {
-  console.log(`[REQ] ${req.method} ${req.path} (proto: ${req.protocol}, x-forwarded-proto: ${req.get('x-forwarded-proto')})`);
+  console.log(`[REQ] ${req.method} ${redactPath(req.path)} (proto: ${req.protocol}, x-forwarded-proto: ${req.get('x-forwarded-proto')})`);
   next();
 });
 
@@ -325,7 +577,6 @@ app.get('/:config/configure', (req, res) => {
 // ── Manifest ──────────────────────────────────────────────────────
 
 function getManifest(config, host) {
-  const configStr = encodeConfig(config);
   return {
     id: 'community.titulky.com',
     version: '1.0.0',
@@ -342,8 +593,8 @@ function getManifest(config, host) {
   };
 }
 
-app.get('/:config/manifest.json', (req, res) => {
-  const config = decodeConfig(req.params.config);
+app.get('/:config/manifest.json', async (req, res) => {
+  const config = await decodeConfig(req.params.config);
   if (!config) return res.status(400).json({ error: 'Invalid config' });
   const host = `${req.protocol}://${req.get('host')}`;
   res.json(getManifest(config, host));
@@ -352,63 +603,68 @@ app.get('/:config/manifest.json', (req, res) => {
 // ── Subtitle search ───────────────────────────────────────────────
 
 app.get('/:config/subtitles/:type/:id/:extra?.json', async (req, res) => {
-  const config = decodeConfig(req.params.config);
+  const config = await decodeConfig(req.params.config);
   if (!config) return res.status(400).json({ subtitles: [] });
 
   const { type, id } = req.params;
   const host = `${req.protocol}://${req.get('host')}`;
 
   try {
-    const client = await getClient(config);
-    if (!client) return res.json({ subtitles: [] });
-
-    // Build search queries - try multiple title variants
-    const meta = await getMeta(type, id);
-    if (!meta) return res.json({ subtitles: [] });
-
-    const searchTitles = [];
-    const name = meta.name || meta.title || '';
-
+    // Season/episode from the Stremio id ("tt123:1:5"), carried to /sub for season packs
+    let season = null;
+    let episode = null;
     if (type === 'series') {
       const parts = id.split(':');
-      const season = parts[1] ? parseInt(parts[1], 10) : 1;
-      const episode = parts[2] ? parseInt(parts[2], 10) : 1;
-      const epStr = `S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`;
-      // Try: "Show Name S01E01", then just "Show Name"
-      if (name) searchTitles.push(`${name} ${epStr}`);
-      if (meta.aliases) {
-        for (const alias of meta.aliases) {
-          if (alias && alias !== name) searchTitles.push(`${alias} ${epStr}`);
-        }
-      }
-      if (name) searchTitles.push(name);
-    } else {
-      // Movie: try name, then aliases, then name without special chars
-      if (name) searchTitles.push(name);
-      if (meta.aliases) {
-        for (const alias of meta.aliases) {
-          if (alias && alias !== name) searchTitles.push(alias);
-        }
+      season = parts[1] ? parseInt(parts[1], 10) : 1;
+      episode = parts[2] ? parseInt(parts[2], 10) : 1;
+    }
+    const episodeQuery = season !== null ? { s: season, e: episode } : {};
+    const imdbIdClean = id.split(':')[0];
+    const customImdbId = type === 'series' ? id.replace(/:/g, '-') : imdbIdClean;
+
+    let cachedSearch = await searchCache.get(type, id);
+    if (!cachedSearch) {
+      const client = await getClient(config);
+      if (!client) return res.json({ subtitles: [] });
+
+      const meta = await metadata.getMeta(type, id);
+      if (!meta) return res.json({ subtitles: [] });
+
+      const queries = buildSearchQueries(type, meta, season, episode);
+      console.log(`[Addon] Search: ${queries.map(q => q.title || q).join(' | ')} (${type} ${id}${queries[0] && queries[0].year ? `, ${queries[0].year}` : ''})`);
+      const found = await client.search(queries);
+      resolveDetails(client, found).catch(e => console.log(`[Index] Detail lookup failed: ${e.message}`));
+      cachedSearch = {
+        meta: {
+          name: meta.name,
+          poster: meta.poster,
+          year: meta.year,
+          releaseInfo: meta.releaseInfo,
+          localizedTitles: meta.localizedTitles,
+        },
+        results: found,
+        customSubs: await getCustomSubs(customImdbId),
+      };
+      if (client.lastError === 'auth') {
+        console.log(`[Addon] Titulky.com keeps rejecting the session of ${client.username}, search skipped`);
+      } else {
+        searchCache.set(type, id, cachedSearch);
       }
-      // Try without trailing dots/punctuation
-      const cleaned = name.replace(/[.!?]+$/, '').trim();
-      if (cleaned && cleaned !== name) searchTitles.push(cleaned);
-      // Try just the first word if title is very short
-      if (name.split(' ').length <= 3 && name.length > 2) {
-        searchTitles.push(name);
+    }
+    const { meta, customSubs } = cachedSearch;
+    const name = meta.name;
+
+    // Cached subtitles the index knows belong to this IMDB id, even when the search missed them
+    const results = cachedSearch.results.map(withDetail);
+    for (const entry of await imdbIndex.get(imdbIdClean)) {
+      if (!results.some(r => r.id === entry.id) && isCached(entry.id, season, episode)) {
+        results.push({ ...entry, imdbId: imdbIdClean });
       }
     }
 
-    // Deduplicate
-    const uniqueTitles = [...new Set(searchTitles)].filter(t => t && t.length > 1);
-
-    console.log(`[Addon] Search titles: ${JSON.stringify(uniqueTitles)} (${type} ${id})`);
-    const results = await client.search(uniqueTitles);
-
     // Save to watch history (async, don't wait)
-    const imdbId = id.split(':')[0];
-    r2AddToHistory(config.username, {
-      imdbId,
+    addToHistory(config.username, {
+      imdbId: imdbIdClean,
       type,
       id,
       name,
@@ -416,10 +672,11 @@ app.get('/:config/subtitles/:type/:id/:extra?.json', async (req, res) => {
       time: Date.now(),
     });
 
-    // Extract playing filename from Stremio extra params
-    const extraStr = req.params.extra || '';
-    const filenameMatch = extraStr.match(/filename=([^&]+)/);
-    let playingFilename = filenameMatch ? decodeURIComponent(filenameMatch[1]) : '';
+    // Stremio extra params: filename, videoHash (OpenSubtitles hash), videoSize
+    const extra = parseExtra(req.params.extra);
+    let playingFilename = extra.filename || '';
+    const videoHash = /^[0-9a-f]{16}$/i.test(extra.videoHash || '') ? extra.videoHash.toLowerCase() : null;
+    const videoSize = /^\d+$/.test(extra.videoSize || '') ? extra.videoSize : null;
 
     // Check if filename is usable (not empty, not just whitespace, has release info)
     const isUsableFilename = playingFilename.trim().length > 3 && extractReleaseTags(playingFilename).length > 0;
@@ -476,84 +733,183 @@ app.get('/:config/subtitles/:type/:id/:extra?.json', async (req, res) => {
       }
     }
 
-    const playingTags = extractReleaseTags(playingFilename);
+    const playing = parseRelease(playingFilename);
+    const playingTags = playing.tags;
 
-    console.log(`[Addon] Playing: "${playingFilename}" | Tags: ${playingTags.join(', ') || 'none'}${!isUsableFilename ? (config.rdToken ? ' (RD fallback)' : ' (no filename)') : ''}`);
+    console.log(`[Addon] Playing: "${playingFilename}" | Tags: ${playingTags.join(', ') || 'none'}${playing.group ? ` | Group: ${playing.group}` : ''}${playing.editions.length ? ` | Edition: ${playing.editions.join(', ')}` : ''}${videoHash ? ` | Hash: ${videoHash}` : ''}${!isUsableFilename ? (config.rdToken ? ' (RD fallback)' : ' (no filename)') : ''}`);
 
-    // Filter results by title match
+    // Filter results by title match (original or localized title)
     const movieName = name.toLowerCase().replace(/[.!?]+$/, '').trim();
+    const movieNames = [movieName, ...(meta.localizedTitles || []).map(t => t.toLowerCase().replace(/[.!?]+$/, '').trim())];
+    // Movies only: series subtitles carry the year of their season, not the show's
+    const movieYear = type === 'movie' ? findYear(String(meta.year || meta.releaseInfo || '')) : null;
 
+    // Exact by IMDB id where the detail page had one, by title (and year) otherwise
     let filtered = results.filter(sub => {
+      if (sub.imdbId) return sub.imdbId === imdbIdClean;
       const subTitle = (sub.title || '').toLowerCase().replace(/[._-]/g, ' ').trim();
-      const subLink = (sub.linkFile || '').toLowerCase().replace(/[._-]/g, ' ');
-      return isExactTitleMatch(movieName, subTitle) || isExactTitleMatch(movieName, subLink);
+      const subLink = (sub.linkFile || '').replace(/-\d+$/, '').toLowerCase().replace(/[._-]/g, ' ');
+      if (!movieNames.some(n => isExactTitleMatch(n, subTitle, movieYear) || isExactTitleMatch(n, subLink, movieYear))) return false;
+      const subYear = subtitleYear(sub, name);
+      return !subYear || !movieYear || Math.abs(subYear - movieYear) <= 1;
     });
 
-    console.log(`[Addon] After filter: ${filtered.length}/${results.length}`);
+    // Series: keep only the requested episode or a pack covering its season
+    const packIds = new Set();
+    if (type === 'series') {
+      filtered = filtered.filter(sub => {
+        const info = parseSeriesInfo(sub.title) || parseSeriesInfo(sub.version) || parseSeriesInfo(sub.linkFile);
+        if (!info) return false;
+        if (info.pack) {
+          if (season < info.season || season > info.lastSeason) return false;
+          packIds.add(sub.id);
+          return true;
+        }
+        return matchesEpisode(info, season, episode);
+      });
+    }
+
+    // Languages the user wants to see
+    const prefs = userPrefs(config);
+    const langOrder = LANG_ORDERS[prefs.lang] || null;
+    if (langOrder) filtered = filtered.filter(sub => langOrder.includes(sub.lang));
+
+    console.log(`[Addon] After filter: ${filtered.length}/${results.length}${packIds.size ? ` (${packIds.size} season pack(s))` : ''}`);
+
+    // /sub learns which video and release a subtitle was picked for
+    const subQuery = { ...episodeQuery, v: id };
+    if (playingTags.length > 0) subQuery.rel = playingTags.join(',');
+    if (playing.group) subQuery.g = playing.group;
+    if (videoHash) Object.assign(subQuery, { h: videoHash }, videoSize ? { sz: videoSize } : {});
 
     // Score subtitles
     const hasReleaseTags = playingTags.length > 0;
-    const scoredResults = filtered.map(sub => ({
+    let scoredResults = filtered.map(sub => ({
       sub,
       score: hasReleaseTags
-        ? scoreSubtitle(sub.version || sub.title, playingTags)
+        ? scoreSubtitle(sub.version || sub.title, playing)
         : qualityScore(sub.version || sub.title),
+      votes: null,
     }));
-    scoredResults.sort((a, b) => b.score - a.score);
+    // Sync votes for the playing release group; bad matches sink, verified ones rise
+    const tallies = await Promise.all(scoredResults.map(r => votes.tally(r.sub.id, playing.group)));
+    scoredResults.forEach((r, i) => { r.votes = tallies[i]; });
+    const rank = r => r.score + voteScore(r.votes);
+    // Same score: exact year first, then ±1, then unknown
+    scoredResults.sort((a, b) => rank(b) - rank(a)
+      || yearDistance(subtitleYear(a.sub, name), movieYear) - yearDistance(subtitleYear(b.sub, name), movieYear));
+
+    // Subtitle confirmed for this exact file (videoHash) by a 👍 or by two users
+    const hashIds = videoHash ? await hashes.get(videoHash, videoSize) : [];
+    const hashId = hashIds.find(subId => scoredResults.some(r => String(r.sub.id) === subId)) || null;
+
+    // Only releases matching the playing file, unless none does
+    if (prefs.hideMismatched && hasReleaseTags) {
+      const matching = scoredResults.filter(r => r.score > 0 || String(r.sub.id) === hashId);
+      if (matching.length > 0) scoredResults = matching;
+    }
 
-    // Build response — max 10
+    if (config.prefetch) {
+      schedulePrefetch(config, scoredResults, season, episode)
+        .catch(e => console.log(`[Prefetch] Scheduling failed: ${e.message}`));
+    }
+
+    // Build response — max prefs.maxResults
     const configStr = req.params.config;
     const isOmni = !!config.omni;
 
     // For Omni: sort by priority: cached+match > cached > download+match > download
     if (isOmni) {
       scoredResults.sort((a, b) => {
-        const aCached = r2CachedIds.has(String(a.sub.id)) ? 2 : 0;
-        const bCached = r2CachedIds.has(String(b.sub.id)) ? 2 : 0;
+        const aCached = isCached(a.sub.id, season, episode) ? 2 : 0;
+        const bCached = isCached(b.sub.id, season, episode) ? 2 : 0;
         const aMatch = a.score > 0 && hasReleaseTags ? 1 : 0;
         const bMatch = b.score > 0 && hasReleaseTags ? 1 : 0;
-        return (bCached + bMatch) - (aCached + aMatch) || b.score - a.score;
+        return (bCached + bMatch) - (aCached + aMatch) || rank(b) - rank(a);
       });
     }
 
+    // "CZ then SK": language first, the ranking above within each language (sort is stable)
+    if (langOrder && langOrder.length > 1) {
+      scoredResults.sort((a, b) => langOrder.indexOf(a.sub.lang) - langOrder.indexOf(b.sub.lang));
+    }
+
+    // What the user (or anyone, when shared) picked for the same release goes first
+    const chosenId = await choices.get(config.username, id, playingTags);
+    const chosenIdx = chosenId ? scoredResults.findIndex(r => String(r.sub.id) === chosenId) : -1;
+    if (chosenIdx > 0) scoredResults.unshift(...scoredResults.splice(chosenIdx, 1));
+
+    // Guaranteed match for this exact file, always first
+    if (hashId) {
+      const hashIdx = scoredResults.findIndex(r => String(r.sub.id) === hashId);
+      scoredResults.unshift(...scoredResults.splice(hashIdx, 1));
+      console.log(`[Hash] ${videoHash} → ${hashId} ranked first`);
+    }
+
+    // Once the account is out of downloads only cached subtitles can be served
+    const { exhausted } = await quotaForConfig(config);
+    const downloadIcon = exhausted ? '🔒' : '⬇️';
+
     const omniCounters = {};
-    const subtitles = scoredResults.slice(0, 10).map(({ sub, score }) => {
-      const cached = r2CachedIds.has(String(sub.id));
+    const entryLangs = new Map(); // entry id → cze/slk, for the ISO language code mode
+    // Retimed variants of the best match are opt-in and count towards maxResults
+    const variantCount = prefs.retime && scoredResults.length > 0 ? Math.min(RETIME_VARIANTS.length, prefs.maxResults - 1) : 0;
+    const subtitles = scoredResults.slice(0, prefs.maxResults - variantCount).map(({ sub, score, votes: tally }) => {
+      const cached = isCached(sub.id, season, episode);
+      const pack = packIds.has(sub.id) ? '📦' : '';
+      entryLangs.set(`titulky-${sub.id}`, sub.lang);
 
       if (isOmni) {
-        const icon = cached ? '✅' : '⬇️';
+        const icon = cached ? '✅' : downloadIcon;
         const star = (hasReleaseTags && score > 0) ? '⭐' : '';
+        const verified = String(sub.id) === hashId ? '🎯' : isVerified(tally) ? '👍' : '';
         const quality = getQualityEmoji(sub.version || sub.title || '');
         // Counter per group for unique emoji sequence
-        const groupKey = `${icon}${star}${quality}`;
+        const groupKey = `${icon}${pack}${verified}${star}${quality}`;
         if (!omniCounters[groupKey]) omniCounters[groupKey] = 0;
         omniCounters[groupKey]++;
         const num = numberEmoji(omniCounters[groupKey]);
         return {
           id: `titulky-${sub.id}`,
-          url: `${host}/sub/${configStr}/${sub.id}/${encodeURIComponent(sub.linkFile)}`,
-          lang: `${icon}${star}${quality}${num}`,
+          url: subUrl(host, configStr, sub, subQuery),
+          lang: `${groupKey}${num}`,
           SubEncoding: 'UTF-8',
           SubFormat: 'vtt',
         };
       } else {
-        const label = buildLabel(sub, score, hasReleaseTags);
-        const icon = cached ? '✅' : '⬇️';
+        const label = buildLabel(sub, score, hasReleaseTags, isVerified(tally), String(sub.id) === hashId);
+        const icon = cached ? '✅' : downloadIcon;
         return {
           id: `titulky-${sub.id}`,
-          url: `${host}/sub/${configStr}/${sub.id}/${encodeURIComponent(sub.linkFile)}`,
-          lang: `${icon} ${label || (sub.lang === 'cze' ? 'Čeština' : sub.lang === 'slk' ? 'Slovenčina' : sub.lang)}`,
+          url: subUrl(host, configStr, sub, subQuery),
+          lang: `${icon} ${pack ? '📦 Celá série · ' : ''}${label || (sub.lang === 'cze' ? 'Čeština' : sub.lang === 'slk' ? 'Slovenčina' : sub.lang)}`,
           SubEncoding: 'UTF-8',
           SubFormat: 'srt',
         };
       }
     });
 
-    // Add custom subtitles from R2 (user-uploaded)
-    const imdbIdClean = id.split(':')[0];
-    const customImdbId = type === 'series' ? id.replace(/:/g, '-') : imdbIdClean;
-    const customSubs = await r2GetCustomSubs(customImdbId);
+    // Retimed variants of the best match (FPS conversion, ± offset)
+    if (variantCount > 0) {
+      const { sub } = scoredResults[0];
+      const best = subtitles[0];
+      const variants = RETIME_VARIANTS.slice(0, variantCount).map(v => {
+        entryLangs.set(`${best.id}-${v.id}`, sub.lang);
+        if (isOmni) {
+          if (!omniCounters['⏱']) omniCounters['⏱'] = 0;
+          omniCounters['⏱']++;
+          return { ...best, id: `${best.id}-${v.id}`, url: subUrl(host, configStr, sub, { ...subQuery, ...v.query }), lang: `⏱${numberEmoji(omniCounters['⏱'])}` };
+        }
+        return { ...best, id: `${best.id}-${v.id}`, url: subUrl(host, configStr, sub, { ...subQuery, ...v.query }), lang: `⏱ ${v.label} · ${best.lang}` };
+      });
+      subtitles.splice(1, 0, ...variants);
+    }
+
+    // Add custom subtitles from storage (user-uploaded), pinned on top unless the user opted out
+    const customEntries = [];
     for (const cs of customSubs) {
+      if (langOrder && !langOrder.includes(cs.lang)) continue;
+      entryLangs.set(`custom-${cs.key}`, cs.lang);
       const ext = cs.filename.split('.').pop().toLowerCase();
       const isAssType = ext === 'ass' || ext === 'ssa';
       let subFormat, subUrl;
@@ -568,7 +924,7 @@ app.get('/:config/subtitles/:type/:id/:extra?.json', async (req, res) => {
         if (!omniCounters['📌']) omniCounters['📌'] = 0;
         omniCounters['📌']++;
         const num = numberEmoji(omniCounters['📌']);
-        subtitles.unshift({
+        customEntries.push({
           id: `custom-${cs.key}`,
           url: subUrl,
           lang: `📌${num}`,
@@ -576,7 +932,7 @@ app.get('/:config/subtitles/:type/:id/:extra?.json', async (req, res) => {
           SubFormat: subFormat,
         });
       } else {
-        subtitles.unshift({
+        customEntries.push({
           id: `custom-${cs.key}`,
           url: subUrl,
           lang: `📌 ${cs.label}`,
@@ -586,6 +942,22 @@ app.get('/:config/subtitles/:type/:id/:extra?.json', async (req, res) => {
       }
     }
 
+    if (prefs.pinCustom) subtitles.unshift(...customEntries.reverse());
+    else subtitles.push(...customEntries);
+
+    // ISO mode: the real language code goes to `lang` so clients can group and
+    // auto-select by language, the label moves to `label`. The `id` stays as is,
+    // it must not change when a subtitle gets cached or the quota runs out
+    if (config.isoLangs) {
+      return res.json({
+        subtitles: subtitles.map(s => ({
+          ...s,
+          label: s.lang,
+          lang: ISO_LANGS[entryLangs.get(s.id)] || ISO_LANGS.cze,
+        })),
+      });
+    }
+
     res.json({ subtitles });
   } catch (e) {
     console.error('[Addon] Search error:', e.message);
@@ -593,12 +965,62 @@ app.get('/:config/subtitles/:type/:id/:extra?.json', async (req, res) => {
   }
 });
 
-function isExactTitleMatch(movieName, subText) {
+// Search queries for titulky.com, tried in order. Structured queries use the
+// advanced search (falling back to fulltext), plain strings are fulltext only.
+function buildSearchQueries(type, meta, season, episode) {
+  const name = meta.name || meta.title || '';
+  const yearMatch = String(meta.year || meta.releaseInfo || '').match(/\d{4}/);
+  const base = { type, year: yearMatch ? parseInt(yearMatch[0], 10) : null, season, episode };
+
+  // Czech/Slovak titles right after the original, titulky.com often lists films under them
+  const titles = [];
+  if (name) titles.push(name);
+  titles.push(...(meta.localizedTitles || []));
+  for (const alias of meta.aliases || []) {
+    if (alias && alias !== name) titles.push(alias);
+  }
+  if (type !== 'series') {
+    // Try without trailing dots/punctuation
+    const cleaned = name.replace(/[.!?]+$/, '').trim();
+    if (cleaned && cleaned !== name) titles.push(cleaned);
+  }
+
+  const queries = [...new Set(titles)].filter(t => t.length > 1).map(title => ({ ...base, title }));
+  // Series: plain show name last, season packs rarely carry episode numbers
+  if (type === 'series' && name.length > 1) queries.push(name);
+  return queries;
+}
+
+// First plausible release year in a text, ignoring years that are part of the title ("Blade Runner 2049")
+function findYear(text, movieName = '') {
+  if (!text) return null;
+  const maxYear = new Date().getFullYear() + 1;
+  for (const m of text.matchAll(/(?:^|[^0-9])((?:19|20)\d{2})(?![0-9])/g)) {
+    const year = parseInt(m[1], 10);
+    if (year >= 1900 && year <= maxYear && !movieName.includes(m[1])) return year;
+  }
+  return null;
+}
+
+// Year from the detail page, the title "(1984)" or the release name
+function subtitleYear(sub, movieName) {
+  return sub.year || findYear(sub.title, movieName) || findYear(sub.version, movieName);
+}
+
+// 0 same year, 1 off by one (festival vs. cinema release), 2 unknown, larger = other film
+function yearDistance(subYear, movieYear) {
+  if (!subYear || !movieYear) return 2;
+  const diff = Math.abs(subYear - movieYear);
+  return diff <= 1 ? diff : diff + 1;
+}
+
+function isExactTitleMatch(movieName, subText, year = null) {
   if (!movieName || !subText) return false;
 
-  // Normalize both strings
-  const movie = movieName.toLowerCase().replace(/[^a-z0-9\s]/g, '').trim();
-  const sub = subText.toLowerCase().replace(/[^a-z0-9\s]/g, '').trim();
+  // Normalize both strings (strip diacritics so "1. série" stays readable)
+  const normalize = s => s.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9\s]/g, '').trim();
+  const movie = normalize(movieName);
+  const sub = normalize(subText);
 
   // Direct match
   if (sub === movie) return true;
@@ -606,7 +1028,9 @@ function isExactTitleMatch(movieName, subText) {
   // Sub starts with movie name, followed by year/space/end/release info
   if (sub.startsWith(movie)) {
     const after = sub.slice(movie.length).trim();
-    if (!after || /^\d{4}/.test(after) || /^(s\d|season|720|1080|2160|bluray|brrip|web|dvd|hdtv|x26)/i.test(after)) {
+    const afterYear = after.match(/^(\d{4})(?![0-9])/);
+    if (afterYear) return !year || Math.abs(parseInt(afterYear[1], 10) - year) <= 1;
+    if (!after || /^(s\d|season|series|\d{1,2}\s*(serie|seria|sezona|rada)|720|1080|2160|bluray|brrip|web|dvd|hdtv|x26)/i.test(after)) {
       return true;
     }
   }
@@ -614,9 +1038,36 @@ function isExactTitleMatch(movieName, subText) {
   return false;
 }
 
-function buildLabel(sub, score, hasReleaseTags) {
+// Express already decoded the extra segment, decoding it again (URLSearchParams)
+// would break names with "%" and turn "+" (DD+5.1) into spaces
+function parseExtra(extra) {
+  const params = {};
+  for (const part of (extra || '').split('&')) {
+    const eq = part.indexOf('=');
+    if (eq > 0) params[part.slice(0, eq)] = part.slice(eq + 1);
+  }
+  return params;
+}
+
+function subUrl(host, configStr, sub, query = null) {
+  const url = `${host}/sub/${configStr}/${sub.id}/${encodeURIComponent(sub.linkFile)}`;
+  const qs = new URLSearchParams(query || {}).toString();
+  return qs ? `${url}?${qs}` : url;
+}
+
+// Offered for the best match; applied by /sub via parseRetimeOptions
+const RETIME_VARIANTS = [
+  { id: 'fps-23-25', query: { fps: '23.976:25' }, label: '23.976→25 fps' },
+  { id: 'fps-25-23', query: { fps: '25:23.976' }, label: '25→23.976 fps' },
+  { id: 'minus-1s', query: { shift: '-1' }, label: '−1 s' },
+  { id: 'plus-1s', query: { shift: '1' }, label: '+1 s' },
+];
+
+function buildLabel(sub, score, hasReleaseTags, verified = false, hashMatch = false) {
   let label = sub.version || sub.title || '';
   if (hasReleaseTags && score > 0) label = `⭐ ${label}`;
+  if (verified) label = `👍 ${label}`;
+  if (hashMatch) label = `🎯 ${label}`;
   return label;
 }
 
@@ -717,21 +1168,82 @@ function isValidUtf8(str) {
   return true;
 }
 
+// One-cue subtitle shown in the player instead of a real track
+function sendPlaceholder(res, isOmni, text) {
+  const body = isOmni
+    ? `WEBVTT\n\n1\n00:00:01.000 --> 00:00:30.000\n${text}\n`
+    : `1\n00:00:01,000 --> 00:00:30,000\n${text}\n`;
+  res.setHeader('Content-Type', isOmni ? 'text/vtt; charset=utf-8' : 'text/plain; charset=utf-8');
+  return res.send(body);
+}
+
+function formatCountdown(resetAt) {
+  const mins = Math.max(1, Math.ceil((resetAt - Date.now()) / 60000));
+  return mins >= 60 ? `${Math.floor(mins / 60)} h ${mins % 60} min` : `${mins} min`;
+}
+
+function limitText(resetAt) {
+  return `Překročili jste denní limit stažení titulků z Titulky.com. Stáhněte titulky které jsou v cachi (označené ✅), opište captchu na dashboardu doplňku nebo počkejte na reset limitu o půlnoci (za ${formatCountdown(resetAt)}).`;
+}
+
+// Turns extracted archive files into one UTF-8 SRT track: CD1/CD2…
+// parts are merged into a single timeline, other formats converted.
+function prepareSubtitle(subId, files) {
+  const cdParts = detectParts(files);
+  if (cdParts) {
+    const srts = cdParts.map(f => toSrt(ensureUtf8(f.content), f.filename).content);
+    const merged = mergeParts(srts);
+    console.log(`[Addon] Merged ${cdParts.length} CD parts of ${subId}`);
+    return { content: merged.content, filename: cdParts[0].filename.replace(/\.[^.]+$/, '') + '.srt', parts: merged.parts };
+  }
+
+  const file = files[0];
+  const converted = toSrt(ensureUtf8(file.content), file.filename);
+  let filename = file.filename;
+  if (converted.format !== 'srt') {
+    console.log(`[Addon] Converted ${converted.format} subtitle ${subId} to SRT`);
+    filename = filename.replace(/\.[^.]+$/, '') + '.srt';
+  }
+  return { content: converted.content, filename, parts: null };
+}
+
 // ── Subtitle download proxy ───────────────────────────────────────
 
 // Download lock: prevents multiple parallel downloads of the same subtitle
 const downloadLocks = new Map(); // subId → Promise
 
 app.get('/sub/:config/:subId/:linkFile', async (req, res) => {
-  const config = decodeConfig(req.params.config);
+  const config = await decodeConfig(req.params.config);
   if (!config) return res.status(400).send('Invalid config');
 
   const isOmni = !!config.omni;
   const { subId, linkFile } = req.params;
-  const cacheKey = `${subId}-${linkFile}`;
-
-  // Helper: send subtitle with optional SRT→VTT conversion for Omni
-  function sendSub(content, filename) {
+  const season = /^\d+$/.test(req.query.s || '') ? parseInt(req.query.s, 10) : null;
+  const episode = season !== null && /^\d+$/.test(req.query.e || '') ? parseInt(req.query.e, 10) : null;
+  const episodeKey = cacheKeyFor(subId, season, episode);
+  const cacheKey = `${episodeKey}-${linkFile}`;
+  const retimeOpts = parseRetimeOptions(req.query);
+  const splitOpts = parseSplitOptions(req.query);
+  // Video and release tags the subtitle was listed for (see subQuery in the subtitles route)
+  const videoId = /^tt\d+(:\d+:\d+)?$/.test(req.query.v || '') ? req.query.v : null;
+  const releaseTags = String(req.query.rel || '').split(',').filter(t => RELEASE_TAGS.includes(t));
+  const releaseGroup = /^[a-z0-9]{2,30}$/.test(req.query.g || '') ? req.query.g : null;
+  const videoHash = /^[0-9a-f]{16}$/.test(req.query.h || '') ? req.query.h : null;
+  const videoSize = /^\d+$/.test(req.query.sz || '') ? req.query.sz : null;
+
+  // Helper: send subtitle with optional CD split points, retiming and SRT→VTT conversion for Omni
+  function sendSub({ content, filename, parts }) {
+    if (videoId && config.username) choices.record(config.username, videoId, releaseTags, subId, {
+      linkFile: /^[\w.-]+$/.test(linkFile) ? linkFile : null,
+      group: releaseGroup,
+      hash: videoHash,
+      size: videoSize,
+    });
+    // Retimed variants mean the original didn't fit this file
+    if (videoHash && config.username && !retimeOpts) hashes.record(videoHash, videoSize, subId, config.username);
+    content = toSrt(content, filename).content;
+    if (splitOpts) content = applySplits(content, parts, splitOpts);
+    if (retimeOpts) content = retime(content, retimeOpts);
     if (isOmni) {
       const vtt = srtToVtt(content);
       const vttFilename = filename.replace(/\.srt$/i, '.vtt');
@@ -749,16 +1261,16 @@ app.get('/sub/:config/:subId/:linkFile', async (req, res) => {
     const cached = subtitleCache.get(cacheKey);
     if (Date.now() - cached.time < SUBTITLE_CACHE_TTL) {
       console.log(`[Addon] Serving memory-cached subtitle ${subId}${isOmni ? ' (VTT)' : ''}`);
-      return sendSub(cached.content, cached.filename);
+      return sendSub(cached);
     }
     subtitleCache.delete(cacheKey);
   }
 
-  // 2. Check R2 cloud cache
-  const r2Cached = await r2Get(subId);
-  if (r2Cached) {
-    subtitleCache.set(cacheKey, { ...r2Cached, time: Date.now() });
-    return sendSub(r2Cached.content, r2Cached.filename);
+  // 2. Check persistent cache (episode entry of a season pack first)
+  const stored = (episodeKey !== String(subId) && await cacheGet(episodeKey)) || await cacheGet(subId);
+  if (stored) {
+    subtitleCache.set(cacheKey, { ...stored, time: Date.now() });
+    return sendSub(stored);
   }
 
   // 3. Download from titulky.com (with lock to prevent parallel downloads)
@@ -767,11 +1279,16 @@ app.get('/sub/:config/:subId/:linkFile', async (req, res) => {
     if (downloadLocks.has(subId)) {
       console.log(`[Addon] Waiting for ongoing download of ${subId}…`);
       await downloadLocks.get(subId);
-      // After wait, check cache again
+      // After wait, check cache again (a background prefetch only fills storage)
       if (subtitleCache.has(cacheKey)) {
         const cached = subtitleCache.get(cacheKey);
         console.log(`[Addon] Serving after-wait cached subtitle ${subId}${isOmni ? ' (VTT)' : ''}`);
-        return sendSub(cached.content, cached.filename);
+        return sendSub(cached);
+      }
+      const prefetched = (episodeKey !== String(subId) && await cacheGet(episodeKey)) || await cacheGet(subId);
+      if (prefetched) {
+        subtitleCache.set(cacheKey, { ...prefetched, time: Date.now() });
+        return sendSub(prefetched);
       }
     }
 
@@ -780,44 +1297,35 @@ app.get('/sub/:config/:subId/:linkFile', async (req, res) => {
     const lockPromise = new Promise(r => { resolveLock = r; });
     downloadLocks.set(subId, lockPromise);
 
-    const client = await getClient(config);
-    if (!client) {
-      downloadLocks.delete(subId);
-      resolveLock();
-      return res.status(500).send('Login failed');
-    }
-
     const decoded = decodeURIComponent(linkFile);
-    const files = await client.downloadSubtitle(subId, decoded);
+    const { files, error, captchaAccount } = await downloadWithFailover(config, subId, decoded, episode !== null ? { season, episode } : null);
 
-    if (!files || files.length === 0) {
-      console.log(`[Addon] Download failed for ${subId} - captcha or limit reached`);
+    if (error) {
       downloadLocks.delete(subId);
       resolveLock();
-      const limitMsg = isOmni
-        ? `WEBVTT\n\n1\n00:00:01.000 --> 00:00:30.000\nPřekročili jste denní limit stažení titulků z Titulky.com. Stáhněte titulky které jsou v cachi (označené ✅) nebo počkejte na reset limitu do dalšího dne.\n`
-        : `1\n00:00:01,000 --> 00:00:30,000\nPřekročili jste denní limit stažení titulků z Titulky.com. Stáhněte titulky které jsou v cachi (označené ✅) nebo počkejte na reset limitu do dalšího dne.\n`;
-      res.setHeader('Content-Type', isOmni ? 'text/vtt; charset=utf-8' : 'text/plain; charset=utf-8');
-      return res.send(limitMsg);
+      if (error === 'login') return res.status(500).send('Login failed');
+      if (error === 'auth') {
+        return sendPlaceholder(res, isOmni, 'Titulky.com odmítá přihlášení – relace vypršela a nové přihlášení selhalo. Zkontrolujte účet v nastavení doplňku.');
+      }
+      if (error === 'limit') {
+        console.log(`[Addon] Daily limit reached on all accounts, not downloading ${subId}`);
+        addPendingCaptcha(config, { subId, linkFile: decoded, season, episode, account: captchaAccount || config.username });
+        return sendPlaceholder(res, isOmni, limitText((await quotaForConfig(config)).resetAt));
+      }
+      return sendPlaceholder(res, isOmni, 'Titulky se nepodařilo stáhnout z Titulky.com. Zkuste to prosím později nebo vyberte jiné.');
     }
 
-    const file = files[0];
-    const utf8Content = ensureUtf8(file.content);
+    const sub = prepareSubtitle(subId, files);
+    subtitleCache.set(cacheKey, { ...sub, time: Date.now() });
 
-    subtitleCache.set(cacheKey, {
-      content: utf8Content,
-      filename: file.filename,
-      time: Date.now(),
-    });
-
-    // Save to R2 cloud cache (async, don't wait)
-    r2Put(subId, utf8Content, file.filename);
+    // Save to persistent cache (async, don't wait)
+    cachePut(files[0].episodeMatch ? episodeKey : subId, sub.content, sub.filename, sub.parts);
 
     // Release lock
     downloadLocks.delete(subId);
     resolveLock();
 
-    return sendSub(utf8Content, file.filename);
+    return sendSub(sub);
   } catch (e) {
     // Release lock on error
     if (downloadLocks.has(subId)) {
@@ -829,165 +1337,56 @@ app.get('/sub/:config/:subId/:linkFile', async (req, res) => {
   }
 });
 
-// ── SRT to VTT converter ─────────────────────────────────────────
-
-function srtToVtt(srtContent) {
-  const text = typeof srtContent === 'string' ? srtContent : srtContent.toString('utf-8');
-  // Replace SRT time format commas with VTT dots
-  const vttBody = text
-    .replace(/\r\n/g, '\n')
-    .replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2');
-  return 'WEBVTT\n\n' + vttBody.trim() + '\n';
-}
-
-// ── ASS/SSA to SRT converter ─────────────────────────────────────
+// ── Background prefetch ───────────────────────────────────────────
+// Installs with `prefetch` get the best-ranked subtitle downloaded while the
+// user is still choosing. Only accounts with more than
+// PREFETCH_RESERVE downloads left are used, the rest stays for manual picks.
 
-function assToVtt(assContent) {
-  const text = typeof assContent === 'string' ? assContent : assContent.toString('utf-8');
-  const lines = text.split(/\r?\n/);
+const PREFETCH_RESERVE = parseInt(process.env.PREFETCH_RESERVE, 10) || 5;
+const prefetchQueue = new DownloadQueue(prefetchSubtitle);
 
-  // Parse [V4+ Styles] for color/style info
-  const styles = {};
-  let inStyles = false;
-  let styleFormat = [];
-
-  // Find [Events] section and parse Format line
-  let inEvents = false;
-  let formatFields = [];
-  const dialogues = [];
-
-  for (const line of lines) {
-    const trimmed = line.trim();
-
-    // Styles section
-    if (/^\[V4\+?\s*Styles?\]/i.test(trimmed)) { inStyles = true; inEvents = false; continue; }
-    if (inStyles && /^Format:/i.test(trimmed)) {
-      styleFormat = trimmed.replace(/^Format:\s*/i, '').split(',').map(f => f.trim().toLowerCase());
-      continue;
-    }
-    if (inStyles && /^Style:/i.test(trimmed)) {
-      const parts = trimmed.replace(/^Style:\s*/i, '').split(',');
-      const nameIdx = styleFormat.indexOf('name');
-      const colorIdx = styleFormat.indexOf('primarycolour');
-      const boldIdx = styleFormat.indexOf('bold');
-      const italicIdx = styleFormat.indexOf('italic');
-      if (nameIdx >= 0 && parts[nameIdx]) {
-        styles[parts[nameIdx].trim()] = {
-          color: colorIdx >= 0 ? assColorToVtt(parts[colorIdx]?.trim()) : null,
-          bold: boldIdx >= 0 ? parts[boldIdx]?.trim() === '-1' || parts[boldIdx]?.trim() === '1' : false,
-          italic: italicIdx >= 0 ? parts[italicIdx]?.trim() === '-1' || parts[italicIdx]?.trim() === '1' : false,
-        };
-      }
-      continue;
-    }
-
-    // Events section
-    if (/^\[Events\]/i.test(trimmed)) { inEvents = true; inStyles = false; continue; }
-    if (/^\[/.test(trimmed) && inEvents) break;
-
-    if (inEvents && /^Format:/i.test(trimmed)) {
-      formatFields = trimmed.replace(/^Format:\s*/i, '').split(',').map(f => f.trim().toLowerCase());
-      continue;
-    }
-
-    if (inEvents && /^Dialogue:/i.test(trimmed)) {
-      const parts = trimmed.replace(/^Dialogue:\s*/i, '').split(',');
-      if (parts.length >= formatFields.length) {
-        const startIdx = formatFields.indexOf('start');
-        const endIdx = formatFields.indexOf('end');
-        const textIdx = formatFields.indexOf('text');
-        const styleIdx = formatFields.indexOf('style');
-
-        if (startIdx >= 0 && endIdx >= 0 && textIdx >= 0) {
-          const textParts = parts.slice(textIdx).join(',');
-          const styleName = styleIdx >= 0 ? parts[styleIdx]?.trim() : null;
-          dialogues.push({
-            start: assTimeToVtt(parts[startIdx].trim()),
-            end: assTimeToVtt(parts[endIdx].trim()),
-            text: assTextToVtt(textParts.trim(), styles[styleName] || null),
-          });
-        }
-      }
-    }
-  }
-
-  // Build VTT
-  let vtt = 'WEBVTT\n\n';
-  vtt += dialogues.map((d, i) =>
-    `${d.start} --> ${d.end}\n${d.text}\n`
-  ).join('\n');
-  return vtt;
-}
-
-function assTimeToVtt(assTime) {
-  // ASS: H:MM:SS.CC → VTT: HH:MM:SS.mmm
-  const m = assTime.match(/(\d+):(\d+):(\d+)\.(\d+)/);
-  if (!m) return '00:00:00.000';
-  const h = m[1].padStart(2, '0');
-  const min = m[2].padStart(2, '0');
-  const sec = m[3].padStart(2, '0');
-  const cs = m[4].padEnd(3, '0').substring(0, 3);
-  return `${h}:${min}:${sec}.${cs}`;
-}
-
-function assColorToVtt(assColor) {
-  if (!assColor) return null;
-  // ASS color: &HAABBGGRR or &HBBGGRR
-  const m = assColor.replace(/^&H/i, '').replace(/&$/, '');
-  if (m.length >= 6) {
-    const b = m.slice(-6, -4);
-    const g = m.slice(-4, -2);
-    const r = m.slice(-2);
-    return `#${r}${g}${b}`;
+async function schedulePrefetch(config, ranked, season, episode) {
+  const candidate = ranked[0];
+  if (!candidate || isCached(candidate.sub.id, season, episode) || downloadLocks.has(candidate.sub.id)) return;
+  const { accounts } = await quotaForConfig(config);
+  if (!accounts.some(a => !a.exhausted && a.remaining > PREFETCH_RESERVE)) return;
+  const key = cacheKeyFor(candidate.sub.id, season, episode);
+  if (prefetchQueue.push(key, { config, sub: candidate.sub, season, episode })) {
+    console.log(`[Prefetch] Queued ${key}`);
   }
-  return null;
 }
 
-function assTextToVtt(text, style) {
-  let result = text;
-
-  // Convert inline ASS tags to VTT/HTML
-  // Bold
-  result = result.replace(/\{\\b1\}/g, '<b>').replace(/\{\\b0\}/g, '</b>');
-  // Italic
-  result = result.replace(/\{\\i1\}/g, '<i>').replace(/\{\\i0\}/g, '</i>');
-  // Underline
-  result = result.replace(/\{\\u1\}/g, '<u>').replace(/\{\\u0\}/g, '</u>');
-  // Color tags: {\c&HBBGGRR&} or {\1c&HBBGGRR&}
-  result = result.replace(/\{\\(?:1)?c&H([0-9A-Fa-f]{6})&?\}/g, (_, hex) => {
-    const color = assColorToVtt('&H' + hex);
-    return color ? `<c.color${color}>` : '';
-  });
-  // Remove remaining ASS tags
-  result = result.replace(/\{[^}]*\}/g, '');
-  // Newlines
-  result = result.replace(/\\N/g, '\n').replace(/\\n/g, '\n').replace(/\\h/g, ' ');
-
-  // Apply style-level formatting
-  if (style) {
-    if (style.bold) result = `<b>${result}</b>`;
-    if (style.italic) result = `<i>${result}</i>`;
-    if (style.color) result = `<c.color${style.color}>${result}</c>`;
+async function prefetchSubtitle({ config, sub, season, episode }) {
+  if (isCached(sub.id, season, episode) || downloadLocks.has(sub.id)) return;
+  let resolveLock;
+  downloadLocks.set(sub.id, new Promise(r => { resolveLock = r; }));
+  try {
+    const { files, error } = await downloadWithFailover(
+      config, sub.id, sub.linkFile, episode !== null ? { season, episode } : null, { reserve: PREFETCH_RESERVE });
+    if (error) {
+      console.log(`[Prefetch] Skipped ${sub.id} (${error})`);
+      return;
+    }
+    const prepared = prepareSubtitle(sub.id, files);
+    await cachePut(files[0].episodeMatch ? cacheKeyFor(sub.id, season, episode) : sub.id, prepared.content, prepared.filename, prepared.parts);
+    console.log(`[Prefetch] ${sub.id} ready`);
+  } finally {
+    downloadLocks.delete(sub.id);
+    resolveLock();
   }
-
-  return result.trim();
 }
 
-// ── Serve custom subtitle from R2 ─────────────────────────────────
+// ── Serve custom subtitle from storage ────────────────────────────
 
 app.get('/custom-sub/:imdbId/:filename', async (req, res) => {
-  if (!s3) return res.status(404).send('R2 not configured');
+  if (!storage) return res.status(404).send('Storage not configured');
   try {
     const { imdbId, filename } = req.params;
     const key = `custom/${imdbId}/${filename}`;
     console.log(`[Custom] Serving: ${key}`);
-    const getRes = await s3.send(new GetObjectCommand({
-      Bucket: process.env.R2_BUCKET,
-      Key: key,
-    }));
-    const chunks = [];
-    for await (const chunk of getRes.Body) chunks.push(chunk);
-    const buf = Buffer.concat(chunks);
+    const obj = await storage.get(key);
+    if (!obj) return res.status(404).send('Not found');
+    const buf = obj.body;
 
     // Convert ASS/SSA to VTT for Stremio compatibility (preserves more styling than SRT)
     const ext = filename.split('.').pop().toLowerCase();
@@ -1000,10 +1399,14 @@ app.get('/custom-sub/:imdbId/:filename', async (req, res) => {
       content = buf;
       res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
     } else {
-      content = buf;
+      // SRT or frame-based formats (MicroDVD .sub, SAMI…) → SRT
+      content = toSrt(buf, filename).content;
       res.setHeader('Content-Type', 'text/plain; charset=utf-8');
     }
 
+    const retimeOpts = parseRetimeOptions(req.query);
+    if (retimeOpts) content = retime(content, retimeOpts);
+
     res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(filename)}"`);
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.send(content);
@@ -1013,21 +1416,17 @@ app.get('/custom-sub/:imdbId/:filename', async (req, res) => {
   }
 });
 
-// ── Serve custom subtitle RAW from R2 (no conversion, for Omni) ──
+// ── Serve custom subtitle RAW (no conversion, for Omni) ───────────
 
 app.get('/custom-sub-raw/:imdbId/:filename', async (req, res) => {
-  if (!s3) return res.status(404).send('R2 not configured');
+  if (!storage) return res.status(404).send('Storage not configured');
   try {
     const { imdbId, filename } = req.params;
     const key = `custom/${imdbId}/${filename}`;
     console.log(`[Custom] Serving RAW: ${key}`);
-    const getRes = await s3.send(new GetObjectCommand({
-      Bucket: process.env.R2_BUCKET,
-      Key: key,
-    }));
-    const chunks = [];
-    for await (const chunk of getRes.Body) chunks.push(chunk);
-    const buf = Buffer.concat(chunks);
+    const obj = await storage.get(key);
+    if (!obj) return res.status(404).send('Not found');
+    const buf = obj.body;
 
     res.setHeader('Content-Type', 'text/plain; charset=utf-8');
     res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(filename)}"`);
@@ -1042,17 +1441,103 @@ app.get('/custom-sub-raw/:imdbId/:filename', async (req, res) => {
 // ── Dashboard page ───────────────────────────────────────────────
 
 app.get('/:config/dashboard', async (req, res) => {
-  const config = decodeConfig(req.params.config);
+  const config = await decodeConfig(req.params.config);
   if (!config || !config.username) return res.status(401).send('Not logged in');
   const host = `${req.protocol}://${req.get('host')}`;
-  const history = await r2GetHistory(config.username);
-  res.type('html').send(getDashboardPage(host, config, history, req.params.config));
+  const history = await getHistory(config.username);
+  const quotaStatus = await quotaForConfig(config);
+  // Subtitles picked for each history item, with their sync votes
+  const picks = {};
+  await Promise.all(history.map(async h => {
+    const list = await choices.list(config.username, h.id);
+    picks[h.id] = await Promise.all(list.map(async pick => ({
+      ...pick, ...(await votes.tally(pick.subId, pick.group, config.username)),
+    })));
+  }));
+  res.type('html').send(getDashboardPage(host, config, history, req.params.config, quotaStatus, getPendingCaptchas(config), picks));
+});
+
+// ── Sync-quality vote ────────────────────────────────────────────
+
+app.post('/:config/vote', express.json(), async (req, res) => {
+  const config = await decodeConfig(req.params.config);
+  if (!config || !config.username) return res.status(401).json({ error: 'Not logged in' });
+  const subId = String(req.body.subId || '');
+  const group = req.body.group ? String(req.body.group).toLowerCase() : null;
+  const value = Number(req.body.vote);
+  if (!/^\d+$/.test(subId)) return res.status(400).json({ error: 'Invalid subtitle id' });
+  if (group && !/^[a-z0-9]{2,30}$/.test(group)) return res.status(400).json({ error: 'Invalid release group' });
+  if (![1, 0, -1].includes(value)) return res.status(400).json({ error: 'Invalid vote' });
+  // The file the subtitle was picked for; a 👍 makes it a guaranteed match there
+  const hash = /^[0-9a-f]{16}$/.test(req.body.hash || '') ? req.body.hash : null;
+  const size = /^\d+$/.test(req.body.size || '') ? req.body.size : null;
+
+  try {
+    const tally = await votes.vote(config.username, subId, group, value);
+    if (hash) await hashes.vote(hash, size, subId, config.username, value);
+    res.json({ success: true, ...tally });
+  } catch (e) {
+    console.error('[Vote] Error:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ── Captcha image & answer ───────────────────────────────────────
+
+app.get('/:config/captcha/:key/image', async (req, res) => {
+  const config = await decodeConfig(req.params.config);
+  if (!config || !config.username) return res.status(401).send('Not logged in');
+  const item = captchaQueue(config).get(req.params.key);
+  if (!item) return res.status(404).send('Not found');
+  try {
+    const client = await captchaClient(config, item);
+    if (!client) return res.status(500).send('Login failed');
+    item.account = client.username;
+    const image = await client.getCaptchaImage(item.subId, item.linkFile);
+    if (!image) return res.status(404).send('No captcha');
+    // Whatever image type titulky.com serves, never anything renderable as a page
+    res.setHeader('Content-Type', /^image\//.test(image.contentType || '') ? image.contentType : 'application/octet-stream');
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(image.body);
+  } catch (e) {
+    console.error('[Captcha] Image error:', e.message);
+    res.status(500).send('Error');
+  }
+});
+
+app.post('/:config/captcha/:key', express.json(), async (req, res) => {
+  const config = await decodeConfig(req.params.config);
+  if (!config || !config.username) return res.status(401).json({ error: 'Not logged in' });
+  const item = captchaQueue(config).get(req.params.key);
+  if (!item) return res.status(404).json({ error: 'Not found' });
+  const answer = String(req.body.answer || '').trim();
+  if (!answer) return res.status(400).json({ error: 'Missing answer' });
+
+  try {
+    const client = await captchaClient(config, item);
+    if (!client) return res.status(500).json({ error: 'Login failed' });
+    const episode = item.episode !== null ? { season: item.season, episode: item.episode } : null;
+    const files = await client.solveCaptcha(item.subId, item.linkFile, answer, episode);
+    if (!files || files.length === 0) {
+      console.log(`[Captcha] ${item.subId} not downloaded (${client.lastError || 'empty archive'})`);
+      return res.json({ error: client.lastError === 'captcha' ? 'wrong_answer' : 'failed' });
+    }
+    quota.recordDownload(client.username);
+    const sub = prepareSubtitle(item.subId, files);
+    await cachePut(files[0].episodeMatch ? item.key : item.subId, sub.content, sub.filename, sub.parts);
+    captchaQueue(config).delete(item.key);
+    console.log(`[Captcha] ${item.subId} downloaded after captcha by ${client.username}`);
+    res.json({ success: true });
+  } catch (e) {
+    console.error('[Captcha] Submit error:', e.message);
+    res.status(500).json({ error: e.message });
+  }
 });
 
 // ── Upload custom subtitle ───────────────────────────────────────
 
 app.post('/:config/upload', express.json({ limit: '2mb' }), async (req, res) => {
-  const config = decodeConfig(req.params.config);
+  const config = await decodeConfig(req.params.config);
   if (!config || !config.username) return res.status(401).json({ error: 'Not logged in' });
 
   const { imdbId, content, filename, label, lang } = req.body;
@@ -1075,7 +1560,7 @@ app.post('/:config/upload', express.json({ limit: '2mb' }), async (req, res) =>
     return res.status(400).json({ error: 'Invalid file content' });
   }
 
-  const ok = await r2PutCustomSub(
+  const ok = await putCustomSub(
     imdbId,
     filename.replace(/[^a-zA-Z0-9._-]/g, '_'),
     subContent,
@@ -1090,10 +1575,10 @@ app.post('/:config/upload', express.json({ limit: '2mb' }), async (req, res) =>
 // ── List custom subtitles for an IMDB ID ─────────────────────────
 
 app.get('/:config/custom-list/:imdbId', async (req, res) => {
-  const config = decodeConfig(req.params.config);
+  const config = await decodeConfig(req.params.config);
   if (!config || !config.username) return res.status(401).json({ error: 'Not logged in' });
 
-  const subs = await r2GetCustomSubs(req.params.imdbId);
+  const subs = await getCustomSubs(req.params.imdbId);
   res.json({ subs });
 });
 
@@ -1107,7 +1592,7 @@ function isAdmin(username) {
 // ── Delete custom subtitle ───────────────────────────────────────
 
 app.post('/:config/custom-delete', express.json(), async (req, res) => {
-  const config = decodeConfig(req.params.config);
+  const config = await decodeConfig(req.params.config);
   if (!config || !config.username) return res.status(401).json({ error: 'Not logged in' });
 
   const { key } = req.body;
@@ -1115,85 +1600,63 @@ app.post('/:config/custom-delete', express.json(), async (req, res) => {
     return res.status(400).json({ error: 'Invalid key' });
   }
 
-  if (!s3) return res.status(500).json({ error: 'R2 not configured' });
+  if (!storage) return res.status(500).json({ error: 'Storage not configured' });
 
   // Check permission: get uploader metadata
   try {
-    const getRes = await s3.send(new GetObjectCommand({
-      Bucket: process.env.R2_BUCKET,
-      Key: key,
-    }));
-    // Consume body to avoid leak
-    for await (const _ of getRes.Body) {}
-    const uploader = getRes.Metadata?.uploader || 'unknown';
+    const head = await storage.head(key);
+    // If file doesn't exist, just return success
+    if (!head) return res.json({ success: true });
+    const uploader = head.metadata.uploader || 'unknown';
 
     if (!isAdmin(config.username) && uploader.toLowerCase() !== config.username.toLowerCase()) {
-      console.log(`[R2] Delete denied: ${config.username} tried to delete sub by ${uploader}`);
+      console.log(`[Storage] Delete denied: ${config.username} tried to delete sub by ${uploader}`);
       return res.status(403).json({ error: 'Nemáte oprávnění smazat tyto titulky' });
     }
   } catch (e) {
-    // If file doesn't exist, just return success
-    if (e.name === 'NoSuchKey' || e.$metadata?.httpStatusCode === 404) {
-      return res.json({ success: true });
-    }
+    console.log(`[Storage] Delete check error: ${e.message}`);
+    return res.json({ success: false, error: e.message });
   }
 
   try {
-    await s3.send(new DeleteObjectCommand({
-      Bucket: process.env.R2_BUCKET,
-      Key: key,
-    }));
-    console.log(`[R2] Deleted custom sub: ${key} (by ${config.username})`);
+    await storage.delete(key);
+    console.log(`[Storage] Deleted custom sub: ${key} (by ${config.username})`);
+    await searchCache.invalidate(key.split('/')[1]);
     res.json({ success: true });
   } catch (e) {
-    console.log(`[R2] Delete error: ${e.message}`);
+    console.log(`[Storage] Delete error: ${e.message}`);
     res.json({ success: false, error: e.message });
   }
 });
 
-// ── Admin: Download backup (ZIP of entire R2 bucket) ─────────────
+// ── Admin: Download backup (ZIP of entire storage) ───────────────
 
 const AdmZip = require('adm-zip');
 
 app.get('/:config/admin/backup', async (req, res) => {
-  const config = decodeConfig(req.params.config);
+  const config = await decodeConfig(req.params.config);
   if (!config || !isAdmin(config.username)) return res.status(403).send('Forbidden');
-  if (!s3) return res.status(500).send('R2 not configured');
+  if (!storage) return res.status(500).send('Storage not configured');
 
   console.log(`[Admin] Backup requested by ${config.username}`);
 
   try {
     const zip = new AdmZip();
-    let continuationToken = undefined;
     let total = 0;
 
-    do {
-      const listRes = await s3.send(new ListObjectsV2Command({
-        Bucket: process.env.R2_BUCKET,
-        ContinuationToken: continuationToken,
-      }));
-
-      for (const obj of (listRes.Contents || [])) {
-        try {
-          const getRes = await s3.send(new GetObjectCommand({
-            Bucket: process.env.R2_BUCKET,
-            Key: obj.Key,
-          }));
-          const chunks = [];
-          for await (const chunk of getRes.Body) chunks.push(chunk);
-          const buf = Buffer.concat(chunks);
-
-          // Store metadata as JSON sidecar
-          if (getRes.Metadata && Object.keys(getRes.Metadata).length > 0) {
-            zip.addFile(obj.Key + '.meta.json', Buffer.from(JSON.stringify(getRes.Metadata)));
-          }
-          zip.addFile(obj.Key, buf);
-          total++;
-        } catch { /* skip failed files */ }
-      }
+    for (const { key } of await storage.list('')) {
+      try {
+        const obj = await storage.get(key);
+        if (!obj) continue;
 
-      continuationToken = listRes.IsTruncated ? listRes.NextContinuationToken : undefined;
-    } while (continuationToken);
+        // Store metadata as JSON sidecar
+        if (Object.keys(obj.metadata).length > 0) {
+          zip.addFile(key + '.meta.json', Buffer.from(JSON.stringify(obj.metadata)));
+        }
+        zip.addFile(key, obj.body);
+        total++;
+      } catch { /* skip failed files */ }
+    }
 
     console.log(`[Admin] Backup created: ${total} file(s)`);
 
@@ -1213,9 +1676,9 @@ const multer = require('multer');
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 50 * 1024 * 1024 } });
 
 app.post('/:config/admin/restore', upload.single('backup'), async (req, res) => {
-  const config = decodeConfig(req.params.config);
+  const config = await decodeConfig(req.params.config);
   if (!config || !isAdmin(config.username)) return res.status(403).json({ error: 'Forbidden' });
-  if (!s3) return res.status(500).json({ error: 'R2 not configured' });
+  if (!storage) return res.status(500).json({ error: 'Storage not configured' });
   if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
 
   console.log(`[Admin] Restore requested by ${config.username} (${(req.file.size / 1024 / 1024).toFixed(1)} MB)`);
@@ -1245,18 +1708,12 @@ app.post('/:config/admin/restore', upload.single('backup'), async (req, res) =>
       else if (['srt', 'ssa', 'ass', 'sub', 'txt'].includes(ext)) contentType = 'text/plain; charset=utf-8';
       else if (ext === 'vtt') contentType = 'text/vtt; charset=utf-8';
 
-      await s3.send(new PutObjectCommand({
-        Bucket: process.env.R2_BUCKET,
-        Key: key,
-        Body: content,
-        ContentType: contentType,
-        Metadata: metadata,
-      }));
+      await storage.put(key, content, { contentType, metadata });
 
       // Update cache index if it's a subtitle
       if (key.startsWith('subs/')) {
         const id = key.replace('subs/', '').replace('.srt', '');
-        if (id) r2CachedIds.add(id);
+        if (id) cachedIds.add(id);
       }
 
       count++;
@@ -1272,20 +1729,99 @@ app.post('/:config/admin/restore', upload.single('backup'), async (req, res) =>
 
 // ── Login test endpoint ───────────────────────────────────────────
 
-app.post('/verify', express.json(), async (req, res) => {
-  console.log('[Verify] Request body:', JSON.stringify(req.body));
-  const { username, password } = req.body || {};
-  if (!username || !password) {
-    console.log('[Verify] Missing credentials');
-    return res.json({ success: false, error: 'missing_credentials' });
+// Non-credential settings from the configure page
+function configOptions(body, existing = null) {
+  const opts = {};
+  if (body.omni) opts.omni = true;
+  if (body.prefetch) opts.prefetch = true;
+  if (body.isoLangs) opts.isoLangs = true;
+  const prefs = sanitizePrefs(body.prefs);
+  if (prefs) opts.prefs = prefs;
+  const rdToken = body.rdToken || (existing && existing.rdToken);
+  if (body.omni && rdToken) opts.rdToken = rdToken;
+  return opts;
+}
+
+// Extra accounts from the configure page. A row without a password keeps the
+// one already stored for that username; new passwords are checked by logging in.
+async function resolveExtraAccounts(requested, primary, existing = null) {
+  const previous = (existing && existing.accounts) || [];
+  if (!Array.isArray(requested)) return { accounts: previous, failed: [] };
+
+  const accounts = [];
+  const failed = [];
+  for (const row of requested) {
+    const username = String((row && row.username) || '').trim();
+    const password = String((row && row.password) || '').trim();
+    if (!username || username.toLowerCase() === primary.toLowerCase()) continue;
+    if (accounts.some(a => a.username.toLowerCase() === username.toLowerCase())) continue;
+
+    if (!password) {
+      const prev = previous.find(a => a.username.toLowerCase() === username.toLowerCase());
+      if (prev) accounts.push(prev);
+      else failed.push(username);
+      continue;
+    }
+    const client = new TitulkyClient(username, password);
+    if (await client.login()) {
+      clientCache.set(username, client);
+      accounts.push({ username, password });
+    } else {
+      failed.push(username);
+    }
   }
+  return { accounts, failed };
+}
+
+function buildConfig(username, password, accounts, options) {
+  const config = { username, password };
+  if (accounts.length > 0) config.accounts = accounts;
+  return { ...config, ...options };
+}
+
+app.post('/verify', express.json(), async (req, res) => {
+  const body = req.body || {};
+  const { username, password, token } = body;
 
   try {
+    const existing = configStore.enabled && ConfigStore.isToken(token) ? await configStore.load(token) : null;
+
+    // Options-only update of an existing install: credentials stay server-side
+    if (!password && token && configStore.enabled) {
+      if (!existing) return res.json({ success: false, error: 'invalid_token' });
+      const { accounts, failed } = await resolveExtraAccounts(body.accounts, existing.username, existing);
+      if (failed.length > 0) return res.json({ success: false, error: 'account_login_failed', accounts: failed });
+      const updated = buildConfig(existing.username, existing.password, accounts, configOptions(body, existing));
+      await configStore.save(updated, token);
+      console.log(`[Verify] Updated options for ${existing.username}`);
+      return res.json({ success: true, config: token });
+    }
+
+    if (!username || !password) {
+      console.log('[Verify] Missing credentials');
+      return res.json({ success: false, error: 'missing_credentials' });
+    }
+    console.log(`[Verify] Login check for ${username}`);
+
     const client = new TitulkyClient(username, password);
     const ok = await client.login();
     console.log('[Verify] Login result:', ok);
-    if (ok) clientCache.set(username, client);
-    res.json({ success: ok });
+    if (!ok) return res.json({ success: false });
+    clientCache.set(username, client);
+
+    // Re-verifying from the same browser keeps the existing token
+    const sameInstall = existing && existing.username === username ? existing : null;
+    const { accounts, failed } = await resolveExtraAccounts(body.accounts, username, sameInstall);
+    if (failed.length > 0) return res.json({ success: false, error: 'account_login_failed', accounts: failed });
+    const config = buildConfig(username, password, accounts, configOptions(body, sameInstall));
+
+    let configStr;
+    if (configStore.enabled) {
+      configStr = await configStore.save(config, sameInstall ? token : null);
+    } else {
+      configStr = encodeLegacyConfig(config);
+    }
+    res.json({ success: true, config: configStr });
   } catch (e) {
     console.error('[Verify] Error:', e.message);
     res.json({ success: false, error: e.message });
@@ -1403,7 +1939,7 @@ function getConfigurePage(host) {
     letter-spacing: 0.6px;
   }
 
-  input[type="text"], input[type="password"] {
+  input[type="text"], input[type="password"], input[type="number"], select {
     width: 100%;
     padding: 12px 16px;
     background: var(--surface-2);
@@ -1502,6 +2038,42 @@ function getConfigurePage(host) {
   }
   @keyframes spin { to { transform: rotate(360deg); } }
 
+  .accounts-section summary {
+    cursor: pointer;
+    font-size: 14px;
+    color: var(--text-dim);
+    margin-bottom: 4px;
+  }
+  .accounts-section .hint {
+    font-size: 12px;
+    color: var(--text-dim);
+    margin: 8px 0 12px;
+    line-height: 1.5;
+  }
+  .prefs-section .check-row {
+    display: flex;
+    align-items: center;
+    gap: 10px;
+    cursor: pointer;
+    text-transform: none;
+    letter-spacing: 0;
+    font-weight: 400;
+    font-size: 14px;
+    color: var(--text);
+    margin-bottom: 10px;
+  }
+  .prefs-section .check-row input { width: auto; accent-color: var(--accent); }
+  .account-row { display: flex; gap: 8px; align-items: flex-start; }
+  .account-row input { margin-bottom: 8px; }
+  .account-row .remove {
+    background: none;
+    border: 1px solid var(--border);
+    border-radius: var(--radius);
+    color: var(--danger);
+    cursor: pointer;
+    padding: 11px 14px;
+  }
+
   @media (max-width: 500px) {
     .card { padding: 32px 24px; }
   }
@@ -1521,6 +2093,30 @@ function getConfigurePage(host) {
   <label for="password">Heslo</label>
   <input type="password" id="password" placeholder="Vaše heslo" autocomplete="current-password">
 
+  <details class="accounts-section" id="accountsSection">
+    <summary>Další účty Titulky.com (volitelné)</summary>
+    <p class="hint">Když účet narazí na captchu nebo denní limit, stahování se automaticky přepne na další účet.</p>
+    <div id="extraAccounts"></div>
+    <button type="button" class="btn btn-copy" onclick="addAccountRow()">＋ Přidat účet</button>
+  </details>
+
+  <details class="accounts-section prefs-section" id="prefsSection">
+    <summary>Předvolby titulků</summary>
+    <p class="hint">Které titulky a v jakém pořadí doplněk ve Stremiu nabídne.</p>
+    <label for="prefLang">Jazyk</label>
+    <select id="prefLang">
+      <option value="">Čeština i slovenština</option>
+      <option value="cze-slk">Nejdřív čeština, pak slovenština</option>
+      <option value="cze">Jen čeština</option>
+      <option value="slk">Jen slovenština</option>
+    </select>
+    <label for="prefMax">Maximální počet titulků</label>
+    <input type="number" id="prefMax" min="1" max="${MAX_RESULTS_LIMIT}" value="10">
+    <label class="check-row"><input type="checkbox" id="prefHideMismatched"> Skrýt titulky, které neodpovídají přehrávanému souboru</label>
+    <label class="check-row"><input type="checkbox" id="prefPinCustom" checked> Vlastní nahrané titulky vždy nahoře</label>
+    <label class="check-row"><input type="checkbox" id="prefRetime"> Nabízet přečasované varianty nejlepších titulků (FPS, ±1 s)</label>
+  </details>
+
   <div class="omni-section" style="margin-top: 20px;">
     <label class="toggle-row" style="display: flex; align-items: center; gap: 10px; cursor: pointer; margin-bottom: 0;">
       <input type="checkbox" id="omniToggle" onchange="toggleOmni()" style="width: auto; accent-color: var(--accent); transform: scale(1.2);">
@@ -1533,6 +2129,22 @@ function getConfigurePage(host) {
     </div>
   </div>
 
+  <div class="omni-section" style="margin-top: 12px;">
+    <label class="toggle-row" style="display: flex; align-items: center; gap: 10px; cursor: pointer; margin-bottom: 0;">
+      <input type="checkbox" id="isoLangsToggle" style="width: auto; accent-color: var(--accent); transform: scale(1.2);">
+      <span style="font-size: 14px; color: var(--text);">Standardní kódy jazyků (ces/slk)</span>
+    </label>
+    <p style="font-size: 11px; color: var(--text-dim); margin-top: 6px;">Stremio pak titulky seskupí podle jazyka a umí automaticky vybrat preferovaný jazyk. Popis titulků se přesune do jejich názvu.</p>
+  </div>
+
+  <div class="omni-section" style="margin-top: 12px;">
+    <label class="toggle-row" style="display: flex; align-items: center; gap: 10px; cursor: pointer; margin-bottom: 0;">
+      <input type="checkbox" id="prefetchToggle" style="width: auto; accent-color: var(--accent); transform: scale(1.2);">
+      <span style="font-size: 14px; color: var(--text);">Předstahovat nejlepší titulky na pozadí</span>
+    </label>
+    <p style="font-size: 11px; color: var(--text-dim); margin-top: 6px;">Nejlépe hodnocené titulky se stáhnou do cache ještě než je vyberete. Spotřebovává denní limit, posledních ${PREFETCH_RESERVE} stažení zůstává pro ruční výběr.</p>
+  </div>
+
   <button class="btn btn-primary" id="verifyBtn" onclick="verify()">
     <span class="spinner" id="spinner"></span>
     <span id="btnText">Ověřit a nainstalovat</span>
@@ -1569,18 +2181,82 @@ function toggleOmni() {
   document.getElementById('rdSection').style.display = checked ? 'block' : 'none';
 }
 
+function addAccountRow(username, keepPassword) {
+  const row = document.createElement('div');
+  row.className = 'account-row';
+  row.innerHTML = '<input type="text" class="acc-user" placeholder="Login" autocomplete="off">' +
+    '<input type="password" class="acc-pass" placeholder="Heslo" autocomplete="off">' +
+    '<button type="button" class="remove" title="Odebrat">✕</button>';
+  row.querySelector('.acc-user').value = username || '';
+  if (keepPassword) row.querySelector('.acc-pass').placeholder = 'Beze změny';
+  row.querySelector('.remove').onclick = () => row.remove();
+  document.getElementById('extraAccounts').appendChild(row);
+  document.getElementById('accountsSection').open = true;
+}
+
+function collectAccounts() {
+  return [...document.querySelectorAll('.account-row')].map(row => ({
+    username: row.querySelector('.acc-user').value.trim(),
+    password: row.querySelector('.acc-pass').value.trim(),
+  })).filter(a => a.username);
+}
+
+function collectPrefs() {
+  return {
+    lang: document.getElementById('prefLang').value,
+    maxResults: parseInt(document.getElementById('prefMax').value, 10) || 10,
+    hideMismatched: document.getElementById('prefHideMismatched').checked,
+    pinCustom: document.getElementById('prefPinCustom').checked,
+    retime: document.getElementById('prefRetime').checked,
+  };
+}
+
+function restorePrefs(prefs) {
+  if (!prefs) return;
+  document.getElementById('prefLang').value = prefs.lang || '';
+  document.getElementById('prefMax').value = prefs.maxResults || 10;
+  document.getElementById('prefHideMismatched').checked = !!prefs.hideMismatched;
+  document.getElementById('prefPinCustom').checked = prefs.pinCustom !== false;
+  document.getElementById('prefRetime').checked = !!prefs.retime;
+}
+
+function savedToken() {
+  try {
+    const saved = localStorage.getItem('titulky_config');
+    return saved && /^tk[0-9a-f]{32}$/.test(saved) ? saved : null;
+  } catch { return null; }
+}
+
+function showResult(config) {
+  const manifestUrl = window.location.origin + '/' + config + '/manifest.json';
+  const stremioUrl = 'stremio://' + manifestUrl.replace(/^https?:[/][/]/, '');
+  const webInstallUrl = 'https://web.stremio.com/#/addons?addon=' + encodeURIComponent(manifestUrl);
+
+  document.getElementById('installLink').href = stremioUrl;
+  document.getElementById('webInstallLink').href = webInstallUrl;
+  document.getElementById('dashboardLink').href = '/' + config + '/dashboard';
+  document.getElementById('addonUrl').textContent = manifestUrl;
+  document.getElementById('result').classList.add('show');
+}
+
 async function verify() {
   const username = document.getElementById('username').value.trim();
   const password = document.getElementById('password').value.trim();
   const omni = document.getElementById('omniToggle').checked;
+  const prefetch = document.getElementById('prefetchToggle').checked;
+  const isoLangs = document.getElementById('isoLangsToggle').checked;
   const rdToken = document.getElementById('rdToken').value.trim();
+  const accounts = collectAccounts();
+  const prefs = collectPrefs();
+  const token = savedToken();
   const status = document.getElementById('status');
   const result = document.getElementById('result');
   const btn = document.getElementById('verifyBtn');
   const spinner = document.getElementById('spinner');
   const btnText = document.getElementById('btnText');
 
-  if (!username || !password) {
+  // Without a password only the options of the saved install are updated
+  if (!username || (!password && !token)) {
     status.className = 'status error';
     status.textContent = 'Vyplňte oba údaje';
     return;
@@ -1597,32 +2273,29 @@ async function verify() {
     const res = await fetch('/verify', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ username, password }),
+      body: JSON.stringify({ username, password, omni, prefetch, isoLangs, rdToken, accounts, prefs, token }),
     });
     const data = await res.json();
 
     if (data.success) {
       status.className = 'status ok';
-      status.textContent = '✓ Přihlášení úspěšné';
-
-      const configObj = { username, password };
-      if (omni) configObj.omni = true;
-      if (omni && rdToken) configObj.rdToken = rdToken;
-
-      const config = btoa(JSON.stringify(configObj))
-        .replace(/[+]/g, '-').replace(/[/]/g, '_').replace(/=+$/, '');
-      const manifestUrl = window.location.origin + '/' + config + '/manifest.json';
-      const stremioUrl = 'stremio://' + manifestUrl.replace(/^https?:[/][/]/, '');
-      const webInstallUrl = 'https://web.stremio.com/#/addons?addon=' + encodeURIComponent(manifestUrl);
-
-      document.getElementById('installLink').href = stremioUrl;
-      document.getElementById('webInstallLink').href = webInstallUrl;
-      document.getElementById('dashboardLink').href = '/' + config + '/dashboard';
-      document.getElementById('addonUrl').textContent = manifestUrl;
-      result.classList.add('show');
-
-      // Save config to localStorage for auto-login
-      try { localStorage.setItem('titulky_config', config); } catch {}
+      status.textContent = password ? '✓ Přihlášení úspěšné' : '✓ Nastavení uloženo';
+      showResult(data.config);
+
+      // Save the install token (never the password) for the next visit
+      try {
+        localStorage.setItem('titulky_config', data.config);
+        localStorage.setItem('titulky_settings', JSON.stringify({ username, omni, prefetch, isoLangs, prefs, accounts: accounts.map(a => a.username) }));
+      } catch {}
+      document.getElementById('password').value = '';
+      document.querySelectorAll('.acc-pass').forEach(input => { input.value = ''; input.placeholder = 'Beze změny'; });
+    } else if (data.error === 'invalid_token') {
+      try { localStorage.removeItem('titulky_config'); } catch {}
+      status.className = 'status error';
+      status.textContent = 'Uložená instalace už neexistuje, zadejte heslo znovu';
+    } else if (data.error === 'account_login_failed') {
+      status.className = 'status error';
+      status.textContent = '✗ Nesprávné údaje pro účet: ' + data.accounts.join(', ');
     } else {
       status.className = 'status error';
       status.textContent = '✗ Nesprávné přihlašovací údaje';
@@ -1650,11 +2323,27 @@ document.getElementById('password').addEventListener('keydown', e => {
   if (e.key === 'Enter') verify();
 });
 
-// Auto-login: if config saved in localStorage, restore session
+// Auto-login: restore the saved install, or migrate a legacy config
+// (base64 with the password inside) to an install token
 (function autoLogin() {
   try {
     const saved = localStorage.getItem('titulky_config');
     if (!saved) return;
+    if (savedToken()) {
+      const settings = JSON.parse(localStorage.getItem('titulky_settings') || '{}');
+      document.getElementById('username').value = settings.username || '';
+      document.getElementById('password').placeholder = 'Ponechte prázdné pro zachování';
+      if (settings.omni) {
+        document.getElementById('omniToggle').checked = true;
+        toggleOmni();
+      }
+      document.getElementById('prefetchToggle').checked = !!settings.prefetch;
+      document.getElementById('isoLangsToggle').checked = !!settings.isoLangs;
+      restorePrefs(settings.prefs);
+      (settings.accounts || []).forEach(u => addAccountRow(u, true));
+      showResult(saved);
+      return;
+    }
     const parsed = JSON.parse(atob(saved.replace(/-/g, '+').replace(/_/g, '/')));
     if (parsed.username && parsed.password) {
       document.getElementById('username').value = parsed.username;
@@ -1666,6 +2355,13 @@ document.getElementById('password').addEventListener('keydown', e => {
       if (parsed.rdToken) {
         document.getElementById('rdToken').value = parsed.rdToken;
       }
+      document.getElementById('prefetchToggle').checked = !!parsed.prefetch;
+      document.getElementById('isoLangsToggle').checked = !!parsed.isoLangs;
+      restorePrefs(parsed.prefs);
+      (parsed.accounts || []).forEach(a => {
+        addAccountRow(a.username);
+        document.querySelector('.account-row:last-child .acc-pass').value = a.password;
+      });
       verify();
     }
   } catch {}
@@ -1677,7 +2373,27 @@ document.getElementById('password').addEventListener('keydown', e => {
 
 // ── Start ─────────────────────────────────────────────────────────
 
-function getDashboardPage(host, config, history, configStr) {
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function getDashboardPage(host, config, history, configStr, quotaStatus, captchas, picks = {}) {
+  const captchaHtml = captchas.length === 0 ? '' : `
+  <div class="captchas">
+    <h2>🔐 Čekající captchy</h2>
+    <p class="subtitle">Titulky.com chce opsat kód. Po odeslání se titulky stáhnou do cache a ve Stremiu budou označené ✅.</p>
+    ${captchas.map(c => `
+    <div class="captcha-item" data-key="${escapeHtml(c.key)}">
+      <div class="captcha-title">${escapeHtml(c.linkFile.replace(/-\d+$/, '').replace(/-/g, ' '))}${c.episode !== null ? ' ' + episodeTag(c.season, c.episode) : ''}</div>
+      <img class="captcha-image" src="/${configStr}/captcha/${escapeHtml(encodeURIComponent(c.key))}/image" alt="captcha" onclick="this.src = this.src.split('?')[0] + '?' + Date.now()" title="Klikni pro nový obrázek">
+      <div class="captcha-form">
+        <input type="text" placeholder="Kód z obrázku" autocomplete="off" onkeydown="if (event.key === 'Enter') solveCaptcha(this.closest('.captcha-item'))">
+        <button class="btn btn-upload" onclick="solveCaptcha(this.closest('.captcha-item'))">Odeslat</button>
+      </div>
+      <div class="status"></div>
+    </div>`).join('')}
+  </div>`;
+
   const historyHtml = history.length === 0
     ? '<p class="subtitle">Zatím jsi nic nepřehrával. Pusť si film nebo seriál ve Stremiu a vrať se sem.</p>'
     : history.map(h => `
@@ -1689,6 +2405,12 @@ function getDashboardPage(host, config, history, configStr) {
           <button class="btn btn-upload" onclick="showUpload('${h.id.replace(/:/g, '-')}', '${h.name.replace(/'/g, "\\'")}${h.type === 'series' && h.id.includes(':') ? (() => { const p = h.id.split(':'); return ' S' + String(p[1]||1).padStart(2,'0') + 'E' + String(p[2]||1).padStart(2,'0'); })() : ''}', '${h.type}')">
             📤 Nahrát titulky
           </button>
+          ${(picks[h.id] || []).map(p => `
+          <div class="pick" data-sub="${p.subId}" data-group="${p.group || ''}" data-hash="${p.hash || ''}" data-size="${p.size || ''}">
+            <span class="pick-name" title="Sedí časování na ${p.group ? p.group.toUpperCase() : 'tuto verzi'}?">${p.linkFile ? p.linkFile.replace(/-\d+$/, '').replace(/-/g, ' ') : p.subId}${p.group ? ' · ' + p.group.toUpperCase() : ''}</span>
+            <button class="btn-vote${p.mine > 0 ? ' active' : ''}" data-vote="1" onclick="vote(this)">👍 <span>${p.up}</span></button>
+            <button class="btn-vote${p.mine < 0 ? ' active' : ''}" data-vote="-1" onclick="vote(this)">👎 <span>${p.down}</span></button>
+          </div>`).join('')}
         </div>
       </div>
     `).join('');
@@ -1790,6 +2512,45 @@ function getDashboardPage(host, config, history, configStr) {
     flex-shrink: 0; margin-left: 10px; transition: all 0.2s;
   }
   .btn-delete:hover { background: rgba(255,92,92,0.1); border-color: var(--danger); }
+
+  .quota {
+    padding: 14px 16px; background: var(--surface); border: 1px solid var(--border);
+    border-radius: var(--radius); margin-bottom: 24px;
+  }
+  .quota-row { display: flex; justify-content: space-between; font-size: 14px; margin-bottom: 8px; }
+  .quota-bar { height: 6px; background: var(--surface-2); border-radius: 3px; overflow: hidden; }
+  .quota-bar div { height: 100%; background: var(--accent); }
+  .quota.exhausted .quota-bar div { background: var(--danger); }
+  .quota.exhausted strong { color: var(--danger); }
+  .quota-meta { color: var(--text-dim); font-size: 12px; margin-top: 8px; }
+  .quota-account {
+    display: flex; justify-content: space-between; font-size: 13px;
+    padding-top: 8px; margin-top: 8px; border-top: 1px solid var(--border);
+  }
+  .quota-account.exhausted { color: var(--danger); }
+
+  .captchas { margin-bottom: 24px; }
+  .captchas h2 { font-size: 18px; margin-bottom: 4px; }
+  .captcha-item {
+    background: var(--surface);
+    border: 1px solid var(--border);
+    border-radius: var(--radius);
+    padding: 16px;
+    margin-top: 12px;
+  }
+  .captcha-title { font-weight: 600; margin-bottom: 10px; }
+  .captcha-image { display: block; background: #fff; border-radius: 6px; margin-bottom: 10px; cursor: pointer; min-height: 40px; }
+  .captcha-form { display: flex; gap: 8px; }
+  .captcha-form input { flex: 1; }
+  .captcha-form .btn { width: auto; margin: 0; }
+
+  .pick { display: flex; align-items: center; gap: 6px; margin-top: 10px; font-size: 13px; }
+  .pick-name { flex: 1; min-width: 0; color: var(--text-dim); white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  .btn-vote {
+    background: var(--surface-2); border: 1px solid var(--border); border-radius: 8px;
+    color: var(--text); cursor: pointer; padding: 4px 8px; font-size: 13px; font-family: inherit;
+  }
+  .btn-vote.active { border-color: var(--accent); background: rgba(79,140,255,0.15); }
 </style>
 </head>
 <body>
@@ -1798,12 +2559,28 @@ function getDashboardPage(host, config, history, configStr) {
   <h1>📺 Poslední přehrávané</h1>
   <p class="subtitle">Nahraj vlastní titulky k filmům a seriálům, které jsi přehrával.</p>
 
+  <div class="quota${quotaStatus.exhausted ? ' exhausted' : ''}">
+    <div class="quota-row">
+      <span>Denní limit Titulky.com</span>
+      <strong>${quotaStatus.exhausted ? 'vyčerpán' : `zbývá ${quotaStatus.remaining} z ${quotaStatus.limit}`}</strong>
+    </div>
+    <div class="quota-bar"><div style="width: ${Math.round((quotaStatus.limit - quotaStatus.remaining) / quotaStatus.limit * 100)}%"></div></div>
+    <div class="quota-meta">Dnes staženo ${quotaStatus.used} · reset o půlnoci (za ${formatCountdown(quotaStatus.resetAt)})</div>
+    ${quotaStatus.accounts.length > 1 ? quotaStatus.accounts.map(a => `
+    <div class="quota-account${a.exhausted ? ' exhausted' : ''}">
+      <span>${escapeHtml(a.username)}</span>
+      <span>${a.exhausted ? '⛔ blokován do půlnoci' : `${a.remaining} / ${a.limit}`}</span>
+    </div>`).join('') : ''}
+  </div>
+
+  ${captchaHtml}
+
   ${historyHtml}
 
   ${isAdmin(config.username) ? `
   <hr style="border: none; border-top: 1px solid var(--border); margin: 32px 0;">
   <h2 style="font-size: 18px; margin-bottom: 8px;">🔧 Admin</h2>
-  <p class="subtitle">Záloha a obnova dat z Cloudflare R2.</p>
+  <p class="subtitle">Záloha a obnova uložených dat (R2 nebo lokální disk).</p>
   <div style="display: flex; gap: 10px; flex-wrap: wrap; margin-bottom: 12px;">
     <button class="btn btn-upload" onclick="downloadBackup()" id="backupBtn">💾 Stáhnout zálohu</button>
     <label class="btn btn-upload" style="cursor:pointer;">
@@ -1922,6 +2699,63 @@ async function deleteSub(key, btnEl) {
   }
 }
 
+// Click again to take the vote back
+async function vote(btn) {
+  const pick = btn.closest('.pick');
+  const value = btn.classList.contains('active') ? 0 : Number(btn.dataset.vote);
+  try {
+    const res = await fetch('/' + CONFIG_STR + '/vote', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        subId: pick.dataset.sub, group: pick.dataset.group || null,
+        hash: pick.dataset.hash || null, size: pick.dataset.size || null, vote: value,
+      }),
+    });
+    const data = await res.json();
+    if (!data.success) return alert('Hlasování selhalo: ' + (data.error || ''));
+    const [up, down] = pick.querySelectorAll('.btn-vote');
+    up.querySelector('span').textContent = data.up;
+    down.querySelector('span').textContent = data.down;
+    up.classList.toggle('active', data.mine > 0);
+    down.classList.toggle('active', data.mine < 0);
+  } catch (e) {
+    alert('Chyba: ' + e.message);
+  }
+}
+
+async function solveCaptcha(item) {
+  const input = item.querySelector('input');
+  const status = item.querySelector('.status');
+  if (!input.value.trim()) return;
+
+  status.className = 'status';
+  status.textContent = 'Stahuji…';
+  try {
+    const res = await fetch('/' + CONFIG_STR + '/captcha/' + encodeURIComponent(item.dataset.key), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ answer: input.value.trim() }),
+    });
+    const data = await res.json();
+    if (data.success) {
+      status.className = 'status ok';
+      status.textContent = '✓ Staženo, titulky jsou v cache';
+      item.querySelector('.captcha-form').remove();
+      item.querySelector('.captcha-image').remove();
+    } else {
+      status.className = 'status error';
+      status.textContent = data.error === 'wrong_answer' ? '✗ Špatný kód, zkus to znovu' : '✗ Stažení se nepodařilo';
+      input.value = '';
+      const img = item.querySelector('.captcha-image');
+      img.src = img.src.split('?')[0] + '?' + Date.now();
+    }
+  } catch (e) {
+    status.className = 'status error';
+    status.textContent = 'Chyba: ' + e.message;
+  }
+}
+
 function hideUpload() {
   document.getElementById('uploadModal').classList.remove('show');
 }